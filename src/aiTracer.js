@@ -115,8 +115,14 @@ export class AITracer {
         // Extract paths from skeleton
         const paths = this.extractSkeletonPaths(binary, width, height);
 
+        // Map back to source image pixels so paths line up with the image
+        const scaleX = image.width / width;
+        const scaleY = image.height / height;
+
         // Simplify and convert to SVG path strings
-        return paths.map(points => this.pointsToPath(points));
+        return paths.map(points => this.pointsToPath(
+            points.map(pt => ({ x: pt.x * scaleX, y: pt.y * scaleY }))
+        ));
     }
 
     gaussianBlur(data, width, height) {
@@ -0,0 +1,294 @@
+/**
+ * Arc Fitter - Approximates Bezier curves with biarcs for G2/G3 output
+ * Pieces that cannot be fitted within the chordal tolerance fall back to lines
+ */
+
+export class ArcFitter {
+    constructor(tolerance = 0.05, maxDepth = 10) {
+        this.tolerance = tolerance;
+        this.maxDepth = maxDepth;
+    }
+
+    /**
+     * Fit a cubic bezier (document mm) with arcs and lines
+     * Returns moves: { type: 'line', to } or { type: 'arc', to, center, mid }
+     */
+    fitCubic(p0, p1, p2, p3, depth = 0) {
+        // Control points hug the chord - a straight line is within tolerance
+        if (this.isFlat(p0, p1, p2, p3)) {
+            return [{ type: 'line', to: p3 }];
+        }
+
+        const biarc = this.biarc(p0, p1, p2, p3);
+        if (biarc && this.biarcError(biarc, p0, p1, p2, p3) <= this.tolerance) {
+            return biarc;
+        }
+
+        if (depth >= this.maxDepth) {
+            return [{ type: 'line', to: p3 }];
+        }
+
+        const [left, right] = this.splitCubic(p0, p1, p2, p3);
+        return [
+            ...this.fitCubic(...left, depth + 1),
+            ...this.fitCubic(...right, depth + 1)
+        ];
+    }
+
+    /**
+     * Fit a quadratic bezier by elevating it to an exact cubic
+     */
+    fitQuadratic(p0, control, p1) {
+        const c1 = this.lerp(p0, control, 2 / 3);
+        const c2 = this.lerp(p1, control, 2 / 3);
+        return this.fitCubic(p0, c1, c2, p1);
+    }
+
+    isFlat(p0, p1, p2, p3) {
+        return this.segmentDistance(p1, p0, p3) <= this.tolerance &&
+            this.segmentDistance(p2, p0, p3) <= this.tolerance;
+    }
+
+    /**
+     * Two tangent-continuous arcs joined at the incenter of the tangent triangle
+     * Returns null for S-curves and other shapes a single biarc cannot follow
+     */
+    biarc(p0, p1, p2, p3) {
+        const t0 = this.unit(this.sub(p1, p0)) || this.unit(this.sub(p2, p0));
+        const t1 = this.unit(this.sub(p3, p2)) || this.unit(this.sub(p3, p1));
+        if (!t0 || !t1) return null;
+
+        const denom = this.cross(t0, t1);
+        if (Math.abs(denom) < 1e-9) return null;
+
+        // Tangent lines meet at V = p0 + a·t0 = p3 - b·t1
+        const d = this.sub(p3, p0);
+        const a = this.cross(d, t1) / denom;
+        const b = this.cross(t0, d) / denom;
+        if (a <= 0 || b <= 0) return null;
+
+        const v = { x: p0.x + t0.x * a, y: p0.y + t0.y * a };
+        const c = Math.hypot(d.x, d.y);
+        const sum = a + b + c;
+        const junction = {
+            x: (b * p0.x + a * p3.x + c * v.x) / sum,
+            y: (b * p0.y + a * p3.y + c * v.y) / sum
+        };
+
+        const first = this.arcFromTangent(p0, t0, junction);
+        const second = this.arcFromTangent(p3, { x: -t1.x, y: -t1.y }, junction);
+
+        // The second arc was built backwards from p3; flip it to end at p3
+        return [first, { ...second, to: p3 }];
+    }
+
+    /**
+     * Arc leaving `start` along `tangent` and passing through `end`
+     */
+    arcFromTangent(start, tangent, end) {
+        const normal = { x: -tangent.y, y: tangent.x };
+        const chord = this.sub(end, start);
+        const chordLength = Math.hypot(chord.x, chord.y);
+        const dn = this.dot(normal, chord);
+
+        if (Math.abs(dn) < 1e-12) {
+            return { type: 'line', to: end };
+        }
+
+        const radius = (chordLength * chordLength) / (2 * dn);
+        const r = Math.abs(radius);
+
+        // Shallow enough that a line is within tolerance
+        const sagitta = r - Math.sqrt(Math.max(0, r * r - chordLength * chordLength / 4));
+        if (sagitta <= this.tolerance / 4) {
+            return { type: 'line', to: end };
+        }
+
+        const center = { x: start.x + normal.x * radius, y: start.y + normal.y * radius };
+        const midChord = this.lerp(start, end, 0.5);
+        const toMid = this.unit(this.sub(midChord, center)) || normal;
+
+        return {
+            type: 'arc',
+            to: end,
+            center,
+            mid: { x: center.x + toMid.x * r, y: center.y + toMid.y * r }
+        };
+    }
+
+    /**
+     * Maximum distance between the bezier and the fitted moves, sampled both ways:
+     * curve points against the moves, and move points against the curve, so an arc
+     * that bulges away between the curve samples is caught too
+     */
+    biarcError(moves, p0, p1, p2, p3) {
+        const curve = Array.from({ length: 17 }, (_, i) => this.cubicPoint(p0, p1, p2, p3, i / 16));
+        let maxError = 0;
+
+        for (let i = 1; i < curve.length - 1; i++) {
+            let best = Infinity;
+            let from = p0;
+
+            for (const move of moves) {
+                best = Math.min(best, this.moveDistance(curve[i], from, move));
+                from = move.to;
+            }
+
+            maxError = Math.max(maxError, best);
+        }
+
+        let from = p0;
+        for (const move of moves) {
+            for (let i = 1; i < 8; i++) {
+                const pt = this.movePoint(from, move, i / 8);
+                maxError = Math.max(maxError, this.curveDistance(pt, curve, p0, p1, p2, p3));
+            }
+            from = move.to;
+        }
+
+        return maxError;
+    }
+
+    /**
+     * Distance from a point to the bezier: nearest of the evenly spaced samples in `curve`,
+     * then narrowed down on the curve around it
+     */
+    curveDistance(pt, curve, p0, p1, p2, p3) {
+        let nearest = 0;
+        let nearestSq = Infinity;
+        curve.forEach((sample, i) => {
+            const dSq = (sample.x - pt.x) ** 2 + (sample.y - pt.y) ** 2;
+            if (dSq < nearestSq) {
+                nearest = i;
+                nearestSq = dSq;
+            }
+        });
+
+        const step = 1 / (curve.length - 1);
+        let low = Math.max(0, (nearest - 1) * step);
+        let high = Math.min(1, (nearest + 1) * step);
+        const at = (t) => this.distance(pt, this.cubicPoint(p0, p1, p2, p3, t));
+
+        for (let i = 0; i < 12; i++) {
+            const a = low + (high - low) / 3;
+            const b = high - (high - low) / 3;
+            if (at(a) < at(b)) high = b; else low = a;
+        }
+
+        return at((low + high) / 2);
+    }
+
+    /**
+     * Point at fraction t along a fitted move (biarc arcs are under 180°)
+     */
+    movePoint(from, move, t) {
+        if (move.type !== 'arc') return this.lerp(from, move.to, t);
+
+        const clockwise = this.cross(this.sub(from, move.center), this.sub(move.to, move.center)) < 0;
+        return ArcFitter.arcPoint(from, move.center, ArcFitter.sweep(from, move.to, move.center, clockwise), t);
+    }
+
+    moveDistance(pt, from, move) {
+        if (move.type !== 'arc') {
+            return this.segmentDistance(pt, from, move.to);
+        }
+
+        // Arcs from biarcs are under 180°, so a cross-product test bounds the span
+        const a = this.sub(from, move.center);
+        const b = this.sub(move.to, move.center);
+        const p = this.sub(pt, move.center);
+        const orientation = Math.sign(this.cross(a, b)) || 1;
+
+        if (this.cross(a, p) * orientation >= 0 && this.cross(p, b) * orientation >= 0) {
+            return Math.abs(Math.hypot(p.x, p.y) - Math.hypot(a.x, a.y));
+        }
+
+        return Math.min(this.distance(pt, from), this.distance(pt, move.to));
+    }
+
+    /**
+     * De Casteljau split at t = 0.5
+     */
+    splitCubic(p0, p1, p2, p3) {
+        const p01 = this.lerp(p0, p1, 0.5);
+        const p12 = this.lerp(p1, p2, 0.5);
+        const p23 = this.lerp(p2, p3, 0.5);
+        const p012 = this.lerp(p01, p12, 0.5);
+        const p123 = this.lerp(p12, p23, 0.5);
+        const mid = this.lerp(p012, p123, 0.5);
+
+        return [
+            [p0, p01, p012, mid],
+            [mid, p123, p23, p3]
+        ];
+    }
+
+    cubicPoint(p0, p1, p2, p3, t) {
+        const mt = 1 - t;
+        return {
+            x: mt * mt * mt * p0.x + 3 * mt * mt * t * p1.x + 3 * mt * t * t * p2.x + t * t * t * p3.x,
+            y: mt * mt * mt * p0.y + 3 * mt * mt * t * p1.y + 3 * mt * t * t * p2.y + t * t * t * p3.y
+        };
+    }
+
+    segmentDistance(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        if (lengthSq === 0) return this.distance(p, a);
+
+        const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        return Math.hypot(p.x - (a.x + dx * t), p.y - (a.y + dy * t));
+    }
+
+    /**
+     * Signed sweep (radians) of an arc in a Y-up frame; negative is clockwise
+     */
+    static sweep(from, to, center, clockwise) {
+        const start = Math.atan2(from.y - center.y, from.x - center.x);
+        const end = Math.atan2(to.y - center.y, to.x - center.x);
+        let sweep = end - start;
+
+        if (clockwise && sweep >= 0) sweep -= Math.PI * 2;
+        if (!clockwise && sweep <= 0) sweep += Math.PI * 2;
+
+        return sweep;
+    }
+
+    /**
+     * Point at fraction t along an arc
+     */
+    static arcPoint(from, center, sweep, t) {
+        const radius = Math.hypot(from.x - center.x, from.y - center.y);
+        const angle = Math.atan2(from.y - center.y, from.x - center.x) + sweep * t;
+        return {
+            x: center.x + Math.cos(angle) * radius,
+            y: center.y + Math.sin(angle) * radius
+        };
+    }
+
+    lerp(a, b, t) {
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+
+    sub(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y };
+    }
+
+    dot(a, b) {
+        return a.x * b.x + a.y * b.y;
+    }
+
+    cross(a, b) {
+        return a.x * b.y - a.y * b.x;
+    }
+
+    distance(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    unit(v) {
+        const length = Math.hypot(v.x, v.y);
+        return length > 1e-12 ? { x: v.x / length, y: v.y / length } : null;
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * Containment - Which closed outlines lie inside which
+ * Shared by nesting (parts and their holes) and inside-out cut ordering;
+ * everything works on flattened point lists in document mm
+ */
+
+// Endpoints closer than this (mm) close a stroke
+export const CLOSE_TOLERANCE = 0.05;
+
+export class Containment {
+    static isClosed(points) {
+        if (points.length < 3) return false;
+        const first = points[0];
+        const last = points[points.length - 1];
+        return Math.hypot(last.x - first.x, last.y - first.y) <= CLOSE_TOLERANCE;
+    }
+
+    /**
+     * Containing outline of each shape { points, bounds, outline?, area }: the smallest closed
+     * outline around the shape, or null at the top level
+     */
+    static parents(shapes) {
+        const outlines = shapes.filter(shape => shape.outline);
+        if (!outlines.length) return shapes.map(() => null);
+
+        // Only outlines whose box covers the shape's first point can hold it
+        const grid = new BoxGrid(outlines, outline => outline.bounds);
+
+        return shapes.map(shape => {
+            const pt = shape.points[0];
+            let best = null;
+
+            grid.query({ minX: pt.x, minY: pt.y, maxX: pt.x, maxY: pt.y }, other => {
+                if (other === shape || other.area <= shape.area) return;
+                if (best && other.area >= best.area) return;
+                if (Containment.contains(other, shape)) best = other;
+            });
+
+            return best;
+        });
+    }
+
+    /**
+     * True when `inner` lies inside `outer`'s outline; outlines are not expected to cross,
+     * so the bounds and one point decide it
+     */
+    static contains(outer, inner) {
+        if (!Containment.boundsInside(inner.bounds, outer.bounds)) return false;
+        return Containment.pointInOutline(inner.points[0], outer);
+    }
+
+    /**
+     * Even-odd ray cast against a shape's outline, through a cached index of its edges by Y band
+     */
+    static pointInOutline(pt, shape) {
+        const outline = shape.outline;
+        if (outline.length < 64) return Containment.pointInPolygon(pt, outline);
+
+        if (!shape.bands) {
+            const { minY, maxY } = shape.bounds;
+            const count = Math.ceil(outline.length / 8);
+            const height = Math.max(maxY - minY, 1e-9) / count;
+            const bands = Array.from({ length: count }, () => []);
+            const band = (y) => Math.min(count - 1, Math.max(0, Math.floor((y - minY) / height)));
+
+            for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+                const low = band(Math.min(outline[i].y, outline[j].y));
+                const high = band(Math.max(outline[i].y, outline[j].y));
+                for (let b = low; b <= high; b++) bands[b].push(i);
+            }
+            shape.bands = { bands, band };
+        }
+
+        let inside = false;
+        for (const i of shape.bands.bands[shape.bands.band(pt.y)]) {
+            const a = outline[i];
+            const b = outline[i === 0 ? outline.length - 1 : i - 1];
+            if ((a.y > pt.y) !== (b.y > pt.y) &&
+                pt.x < (b.x - a.x) * (pt.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Index of every outline edge, for crossing tests against many outlines at once
+     */
+    static edgeIndex(outlines) {
+        const edges = [];
+        for (const outline of outlines) {
+            for (let i = 1; i < outline.length; i++) {
+                edges.push({ a: outline[i - 1], b: outline[i] });
+            }
+        }
+
+        return new BoxGrid(edges, ({ a, b }) => ({
+            minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y),
+            maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y)
+        }));
+    }
+
+    /**
+     * True when the polyline `points` crosses an edge in the index
+     */
+    static crosses(points, edgeIndex) {
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const box = {
+                minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y),
+                maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y)
+            };
+
+            let found = false;
+            edgeIndex.query(box, edge => {
+                if (!found && Containment.segmentsIntersect(a, b, edge.a, edge.b)) found = true;
+            });
+            if (found) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Proper intersection of segments ab and cd (touching at an end does not count)
+     */
+    static segmentsIntersect(a, b, c, d) {
+        const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+        const d1 = cross(c, d, a);
+        const d2 = cross(c, d, b);
+        const d3 = cross(a, b, c);
+        const d4 = cross(a, b, d);
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+
+    /**
+     * Even-odd ray cast
+     */
+    static pointInPolygon(pt, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > pt.y) !== (b.y > pt.y) &&
+                pt.x < (b.x - a.x) * (pt.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Shoelace area; the sign gives the winding
+     */
+    static polygonArea(points) {
+        let area = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            area += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+        }
+        return area / 2;
+    }
+
+    static getBounds(points) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const pt of points) {
+            bounds.minX = Math.min(bounds.minX, pt.x);
+            bounds.minY = Math.min(bounds.minY, pt.y);
+            bounds.maxX = Math.max(bounds.maxX, pt.x);
+            bounds.maxY = Math.max(bounds.maxY, pt.y);
+        }
+        return bounds;
+    }
+
+    static boundsInside(inner, outer) {
+        return inner.minX >= outer.minX && inner.minY >= outer.minY &&
+            inner.maxX <= outer.maxX && inner.maxY <= outer.maxY;
+    }
+
+    static boundsOverlap(a, b) {
+        return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+    }
+}
+
+/**
+ * Uniform grid of boxed items; each item is listed in every cell its box touches
+ */
+class BoxGrid {
+    constructor(items, boxOf) {
+        this.items = items;
+        this.boxes = items.map(boxOf);
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const box of this.boxes) {
+            minX = Math.min(minX, box.minX);
+            minY = Math.min(minY, box.minY);
+            maxX = Math.max(maxX, box.maxX);
+            maxY = Math.max(maxY, box.maxY);
+        }
+
+        // About one cell per item
+        const width = Math.max(maxX - minX, 1e-6);
+        const height = Math.max(maxY - minY, 1e-6);
+        this.size = Math.max(Math.sqrt(width * height / Math.max(items.length, 1)), 1e-3);
+        this.minX = minX;
+        this.minY = minY;
+        this.cols = Math.floor(width / this.size) + 1;
+        this.rows = Math.floor(height / this.size) + 1;
+        this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+
+        this.boxes.forEach((box, index) => {
+            this.forCells(box, cell => cell.push(index));
+        });
+    }
+
+    column(x) {
+        return Math.min(this.cols - 1, Math.max(0, Math.floor((x - this.minX) / this.size)));
+    }
+
+    row(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor((y - this.minY) / this.size)));
+    }
+
+    forCells(box, callback) {
+        if (box.maxX < this.minX || box.maxY < this.minY ||
+            box.minX > this.minX + this.cols * this.size || box.minY > this.minY + this.rows * this.size) {
+            return;
+        }
+
+        const lastColumn = this.column(box.maxX);
+        const lastRow = this.row(box.maxY);
+        for (let row = this.row(box.minY); row <= lastRow; row++) {
+            for (let col = this.column(box.minX); col <= lastColumn; col++) {
+                callback(this.cells[row * this.cols + col]);
+            }
+        }
+    }
+
+    /**
+     * Call back with every item whose box overlaps `box` (an item may come up more than once)
+     */
+    query(box, callback) {
+        this.forCells(box, cell => {
+            for (const index of cell) {
+                if (Containment.boundsOverlap(box, this.boxes[index])) callback(this.items[index]);
+            }
+        });
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Coordinate System - Shared transform between editor document, machine and views
+ * Document units are millimetres, so zoom and pan never change coordinates
+ *
+ * The document is the bed seen from above with the front edge at the bottom (Y down).
+ * Machine orientation comes from settings: the origin corner, inverted axes and an X/Y swap
+ */
+
+// Where machine zero sits; axes point into the bed from there unless inverted
+export const MACHINE_ORIGINS = {
+    'front-left': 'Front left',
+    'rear-left': 'Rear left',
+    'center': 'Centre'
+};
+
+// Screen directions in document space (Y down)
+const SCREEN_DIRECTIONS = {
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 }
+};
+
+export class CoordinateSystem {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    get bedWidth() {
+        return this.settings.bedWidth;
+    }
+
+    get bedHeight() {
+        return this.settings.bedHeight;
+    }
+
+    /**
+     * Map a document point (mm) to machine coordinates (mm)
+     */
+    documentToMachine(x, y) {
+        // Bed frame: X right and Y towards the rear, measured from the origin corner
+        let u = x;
+        let v;
+        switch (this.settings.machineOrigin) {
+            case 'rear-left':
+                v = y;
+                break;
+            case 'center':
+                u = x - this.bedWidth / 2;
+                v = this.bedHeight / 2 - y;
+                break;
+            default:
+                v = this.bedHeight - y;
+        }
+
+        if (this.settings.invertX) u = -u;
+        if (this.settings.invertY) v = -v;
+
+        return this.settings.swapXY ? { x: v, y: u } : { x: u, y: v };
+    }
+
+    /**
+     * Map a machine point (mm) back to document coordinates (mm)
+     */
+    machineToDocument(x, y) {
+        let [u, v] = this.settings.swapXY ? [y, x] : [x, y];
+
+        if (this.settings.invertX) u = -u;
+        if (this.settings.invertY) v = -v;
+
+        switch (this.settings.machineOrigin) {
+            case 'rear-left':
+                return { x: u, y: v };
+            case 'center':
+                return { x: u + this.bedWidth / 2, y: this.bedHeight / 2 - v };
+            default:
+                return { x: u, y: this.bedHeight - v };
+        }
+    }
+
+    /**
+     * Range each machine axis covers over the bed
+     */
+    machineBounds() {
+        const a = this.documentToMachine(0, 0);
+        const b = this.documentToMachine(this.bedWidth, this.bedHeight);
+
+        return {
+            minX: Math.min(a.x, b.x),
+            maxX: Math.max(a.x, b.x),
+            minY: Math.min(a.y, b.y),
+            maxY: Math.max(a.y, b.y)
+        };
+    }
+
+    /**
+     * The machine axis and sign that move the tool towards a screen direction
+     * ('left', 'right', 'up' = rear, 'down' = front), e.g. { axis: 'y', direction: 1 }
+     */
+    screenToMachineAxis(screen) {
+        const step = SCREEN_DIRECTIONS[screen];
+        const origin = this.documentToMachine(0, 0);
+        const moved = this.documentToMachine(step.x, step.y);
+        const dx = moved.x - origin.x;
+        const dy = moved.y - origin.y;
+
+        return Math.abs(dx) > Math.abs(dy)
+            ? { axis: 'x', direction: Math.sign(dx) }
+            : { axis: 'y', direction: Math.sign(dy) };
+    }
+
+    /**
+     * Uniform scale (px per mm) and offset that fit the bed inside a view
+     */
+    fitBed(viewWidth, viewHeight, margin = 0) {
+        const scale = Math.max(0.0001, Math.min(
+            (viewWidth - margin * 2) / this.bedWidth,
+            (viewHeight - margin * 2) / this.bedHeight
+        ));
+
+        return {
+            scale,
+            offsetX: (viewWidth - this.bedWidth * scale) / 2,
+            offsetY: (viewHeight - this.bedHeight * scale) / 2
+        };
+    }
+}
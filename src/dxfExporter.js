@@ -0,0 +1,96 @@
+/**
+ * DXF Exporter - Writes editor paths as an R12 DXF in millimetres
+ * Curves are flattened to the generator's curve tolerance; layers are preserved
+ */
+
+export class DxfExporter {
+    constructor(generator, coordinates) {
+        this.generator = generator;
+        this.coordinates = coordinates;
+    }
+
+    /**
+     * Build DXF text from getPaths() descriptors
+     * Document Y runs down from the bed's top edge; DXF Y runs up from its bottom edge
+     */
+    export(paths) {
+        const polylines = [];
+        const layers = new Set(['0']);
+
+        paths.forEach(pathObj => {
+            const layer = this.sanitizeLayer(pathObj.layer);
+            layers.add(layer);
+
+            this.generator.pathToStrokes(pathObj).forEach(stroke => {
+                const points = this.generator.strokeToPoints(stroke);
+                if (points.length >= 2) {
+                    polylines.push({ layer, points });
+                }
+            });
+        });
+
+        return [
+            ...this.writeHeader(),
+            ...this.writeLayers([...layers]),
+            '0', 'SECTION', '2', 'ENTITIES',
+            ...polylines.flatMap(polyline => this.writePolyline(polyline)),
+            '0', 'ENDSEC',
+            '0', 'EOF',
+            ''
+        ].join('\n');
+    }
+
+    writeHeader() {
+        return [
+            '0', 'SECTION', '2', 'HEADER',
+            '9', '$ACADVER', '1', 'AC1009',
+            '9', '$INSUNITS', '70', '4',
+            '9', '$EXTMIN', '10', '0', '20', '0',
+            '9', '$EXTMAX', '10', this.formatNumber(this.coordinates.bedWidth), '20', this.formatNumber(this.coordinates.bedHeight),
+            '0', 'ENDSEC'
+        ];
+    }
+
+    writeLayers(layers) {
+        return [
+            '0', 'SECTION', '2', 'TABLES',
+            '0', 'TABLE', '2', 'LAYER', '70', String(layers.length),
+            ...layers.flatMap(name => [
+                '0', 'LAYER', '2', name, '70', '0', '62', '7', '6', 'CONTINUOUS'
+            ]),
+            '0', 'ENDTAB',
+            '0', 'ENDSEC'
+        ];
+    }
+
+    writePolyline({ layer, points }) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const closed = points.length > 2 && this.generator.distance(first, last) < 1e-6;
+        const vertices = closed ? points.slice(0, -1) : points;
+
+        return [
+            '0', 'POLYLINE', '8', layer, '66', '1', '70', closed ? '1' : '0',
+            '10', '0', '20', '0', '30', '0',
+            ...vertices.flatMap(pt => [
+                '0', 'VERTEX', '8', layer,
+                '10', this.formatNumber(pt.x),
+                '20', this.formatNumber(this.coordinates.bedHeight - pt.y),
+                '30', '0'
+            ]),
+            '0', 'SEQEND', '8', layer
+        ];
+    }
+
+    /**
+     * DXF layer names cannot contain <>/\":;?*|=`
+     */
+    sanitizeLayer(name) {
+        const clean = String(name || '0').replace(/[<>/\\":;?*|=`]/g, '_').trim();
+        return clean || '0';
+    }
+
+    formatNumber(value) {
+        return parseFloat(value.toFixed(4)).toString();
+    }
+}
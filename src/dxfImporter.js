@@ -0,0 +1,323 @@
+/**
+ * DXF Importer - Reads CAD geometry into path data in millimetres
+ * Supports LINE, LWPOLYLINE, POLYLINE, ARC, CIRCLE and SPLINE entities
+ */
+
+// $INSUNITS codes to millimetres (0 = unitless, treated as mm)
+const INSUNITS_TO_MM = {
+    0: 1,
+    1: 25.4,
+    2: 304.8,
+    4: 1,
+    5: 10,
+    6: 1000,
+    8: 0.0000254,
+    9: 0.0254,
+    10: 914.4,
+    13: 0.001,
+    14: 100
+};
+
+// Entities whose coordinates are in their object coordinate system (OCS)
+const OCS_ENTITIES = new Set(['ARC', 'CIRCLE', 'LWPOLYLINE', 'POLYLINE']);
+
+export class DxfImporter {
+    /**
+     * Parse DXF text
+     * Returns { shapes: [{ d, matrix, layer }], layers: [names] }. Path data is
+     * in DXF drawing units (Y up); each matrix converts to document mm (Y down)
+     * with the DXF origin at the bed's lower-left corner
+     */
+    parse(text, bedHeight) {
+        const pairs = this.readPairs(text);
+        const units = INSUNITS_TO_MM[this.readHeaderValue(pairs, '$INSUNITS')] || 1;
+        const matrix = [units, 0, 0, -units, 0, bedHeight];
+        // An extrusion of (0, 0, -1) - CAD's mirrored OCS - maps OCS X to world -X
+        const mirrored = [-units, 0, 0, -units, 0, bedHeight];
+
+        const shapes = [];
+        const layers = new Set();
+
+        for (const entity of this.readEntities(pairs)) {
+            const d = this.entityToPathData(entity);
+            if (!d) continue;
+
+            const layer = this.first(entity, 8) || '0';
+            layers.add(layer);
+            shapes.push({ d, matrix: this.isMirrored(entity) ? mirrored : matrix, layer });
+        }
+
+        return { shapes, layers: [...layers] };
+    }
+
+    /**
+     * Flat entities seen from below; 3D polylines (flag 8) are in world coordinates
+     */
+    isMirrored(entity) {
+        if (!OCS_ENTITIES.has(entity.type) || this.number(entity, 230, 1) >= 0) return false;
+        return !(entity.type === 'POLYLINE' && (parseInt(this.first(entity, 70, '0'), 10) & 8));
+    }
+
+    /**
+     * Split the file into [code, value] pairs
+     */
+    readPairs(text) {
+        const lines = text.split(/\r?\n/);
+        const pairs = [];
+
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            const code = parseInt(lines[i].trim(), 10);
+            if (Number.isNaN(code)) {
+                throw new Error(`Invalid DXF group code on line ${i + 1}`);
+            }
+            pairs.push([code, lines[i + 1].trim()]);
+        }
+
+        return pairs;
+    }
+
+    readHeaderValue(pairs, name) {
+        const index = pairs.findIndex(([code, value]) => code === 9 && value === name);
+        if (index < 0 || index + 1 >= pairs.length) return null;
+        return parseInt(pairs[index + 1][1], 10);
+    }
+
+    /**
+     * Collect entities from the ENTITIES section as { type, pairs }
+     * POLYLINE entities gather their VERTEX records until SEQEND
+     */
+    readEntities(pairs) {
+        const entities = [];
+        let inEntities = false;
+        let current = null;
+        let polyline = null;
+
+        for (let i = 0; i < pairs.length; i++) {
+            const [code, value] = pairs[i];
+
+            if (code === 0 && value === 'SECTION') {
+                inEntities = pairs[i + 1] && pairs[i + 1][0] === 2 && pairs[i + 1][1] === 'ENTITIES';
+                continue;
+            }
+
+            if (!inEntities) continue;
+
+            if (code === 0) {
+                if (value === 'ENDSEC') {
+                    inEntities = false;
+                    current = null;
+                    continue;
+                }
+
+                if (value === 'VERTEX' && polyline) {
+                    current = { type: 'VERTEX', pairs: [] };
+                    polyline.vertices.push(current);
+                } else if (value === 'SEQEND') {
+                    polyline = null;
+                    current = null;
+                } else {
+                    current = { type: value, pairs: [], vertices: [] };
+                    entities.push(current);
+                    polyline = value === 'POLYLINE' ? current : null;
+                }
+                continue;
+            }
+
+            if (current) {
+                current.pairs.push([code, value]);
+            }
+        }
+
+        return entities;
+    }
+
+    first(entity, code, fallback = null) {
+        const pair = entity.pairs.find(([c]) => c === code);
+        return pair ? pair[1] : fallback;
+    }
+
+    number(entity, code, fallback = 0) {
+        const value = parseFloat(this.first(entity, code));
+        return Number.isNaN(value) ? fallback : value;
+    }
+
+    all(entity, code) {
+        return entity.pairs.filter(([c]) => c === code).map(([, value]) => parseFloat(value));
+    }
+
+    /**
+     * Path data (DXF units, Y up) for one entity
+     */
+    entityToPathData(entity) {
+        switch (entity.type) {
+            case 'LINE':
+                return `M ${this.number(entity, 10)} ${this.number(entity, 20)} ` +
+                    `L ${this.number(entity, 11)} ${this.number(entity, 21)}`;
+
+            case 'CIRCLE': {
+                const cx = this.number(entity, 10);
+                const cy = this.number(entity, 20);
+                const r = this.number(entity, 40);
+                if (r <= 0) return null;
+
+                return `M ${cx - r} ${cy} A ${r} ${r} 0 1 1 ${cx + r} ${cy} A ${r} ${r} 0 1 1 ${cx - r} ${cy} Z`;
+            }
+
+            case 'ARC': {
+                const cx = this.number(entity, 10);
+                const cy = this.number(entity, 20);
+                const r = this.number(entity, 40);
+                const start = this.number(entity, 50) * Math.PI / 180;
+                let end = this.number(entity, 51) * Math.PI / 180;
+                if (r <= 0) return null;
+
+                // DXF arcs run counter-clockwise from start to end angle
+                while (end <= start) end += Math.PI * 2;
+                const largeArc = end - start > Math.PI ? 1 : 0;
+
+                return `M ${cx + r * Math.cos(start)} ${cy + r * Math.sin(start)} ` +
+                    `A ${r} ${r} 0 ${largeArc} 1 ${cx + r * Math.cos(end)} ${cy + r * Math.sin(end)}`;
+            }
+
+            case 'LWPOLYLINE':
+                return this.verticesToPathData(
+                    this.readLwVertices(entity),
+                    (parseInt(this.first(entity, 70, '0'), 10) & 1) === 1
+                );
+
+            case 'POLYLINE':
+                return this.verticesToPathData(
+                    entity.vertices.map(vertex => ({
+                        x: this.number(vertex, 10),
+                        y: this.number(vertex, 20),
+                        bulge: this.number(vertex, 42)
+                    })),
+                    (parseInt(this.first(entity, 70, '0'), 10) & 1) === 1
+                );
+
+            case 'SPLINE':
+                return this.splineToPathData(entity);
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * LWPOLYLINE vertices come as repeated 10/20 pairs, each optionally followed by a 42 bulge
+     */
+    readLwVertices(entity) {
+        const vertices = [];
+
+        for (const [code, value] of entity.pairs) {
+            if (code === 10) {
+                vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+            } else if (code === 20 && vertices.length) {
+                vertices[vertices.length - 1].y = parseFloat(value);
+            } else if (code === 42 && vertices.length) {
+                vertices[vertices.length - 1].bulge = parseFloat(value);
+            }
+        }
+
+        return vertices;
+    }
+
+    /**
+     * Polyline with optional bulges (arc segments) to path data
+     */
+    verticesToPathData(vertices, closed) {
+        if (vertices.length < 2) return null;
+
+        let d = `M ${vertices[0].x} ${vertices[0].y}`;
+        const count = closed ? vertices.length : vertices.length - 1;
+
+        for (let i = 0; i < count; i++) {
+            const from = vertices[i];
+            const to = vertices[(i + 1) % vertices.length];
+            d += ' ' + this.bulgeSegment(from, to);
+        }
+
+        return closed ? d + ' Z' : d;
+    }
+
+    /**
+     * Bulge is tan(θ/4) of the included angle; positive turns counter-clockwise
+     */
+    bulgeSegment(from, to) {
+        if (!from.bulge) return `L ${to.x} ${to.y}`;
+
+        const chord = Math.hypot(to.x - from.x, to.y - from.y);
+        const angle = 4 * Math.atan(Math.abs(from.bulge));
+        const radius = chord / (2 * Math.sin(angle / 2));
+        const largeArc = angle > Math.PI ? 1 : 0;
+        const sweep = from.bulge > 0 ? 1 : 0;
+
+        return `A ${radius} ${radius} 0 ${largeArc} ${sweep} ${to.x} ${to.y}`;
+    }
+
+    /**
+     * Sample a (rational) B-spline with de Boor's algorithm
+     * Falls back to fit points when there are no control points
+     */
+    splineToPathData(entity) {
+        const degree = parseInt(this.first(entity, 71, '3'), 10);
+        const knots = this.all(entity, 40);
+        const xs = this.all(entity, 10);
+        const ys = this.all(entity, 20);
+        const weights = this.all(entity, 41);
+        const closed = (parseInt(this.first(entity, 70, '0'), 10) & 1) === 1;
+
+        const control = xs.map((x, i) => ({ x, y: ys[i] || 0, w: weights[i] || 1 }));
+
+        if (control.length <= degree || knots.length !== control.length + degree + 1) {
+            const fitYs = this.all(entity, 21);
+            const fit = this.all(entity, 11).map((x, i) => ({ x, y: fitYs[i] || 0, bulge: 0 }));
+            return this.verticesToPathData(fit.length >= 2 ? fit : control, closed);
+        }
+
+        const start = knots[degree];
+        const end = knots[knots.length - degree - 1];
+        const samples = Math.max(32, control.length * 8);
+        const points = [];
+
+        for (let i = 0; i <= samples; i++) {
+            points.push(this.deBoor(degree, knots, control, start + (end - start) * i / samples));
+        }
+
+        let d = `M ${points[0].x} ${points[0].y}`;
+        for (let i = 1; i < points.length; i++) {
+            d += ` L ${points[i].x} ${points[i].y}`;
+        }
+        return closed ? d + ' Z' : d;
+    }
+
+    deBoor(degree, knots, control, t) {
+        // Knot span containing t; the end of the range belongs to the last span
+        const last = knots.length - degree - 2;
+        let span = degree;
+        while (span < last && t >= knots[span + 1]) span++;
+
+        // Homogeneous coordinates so weights are honoured
+        const d = [];
+        for (let j = 0; j <= degree; j++) {
+            const p = control[span - degree + j];
+            d.push({ x: p.x * p.w, y: p.y * p.w, w: p.w });
+        }
+
+        for (let r = 1; r <= degree; r++) {
+            for (let j = degree; j >= r; j--) {
+                const i = span - degree + j;
+                const denom = knots[i + degree - r + 1] - knots[i];
+                const alpha = denom === 0 ? 0 : (t - knots[i]) / denom;
+                d[j] = {
+                    x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                    y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+                    w: (1 - alpha) * d[j - 1].w + alpha * d[j].w
+                };
+            }
+        }
+
+        const result = d[degree];
+        return { x: result.x / result.w, y: result.y / result.w };
+    }
+}
@@ -3,65 +3,113 @@
  * Optimized for RC plane foam cutting templates
  */
 
+import { ArcFitter } from './arcFitter.js';
+import { OutputProfile } from './outputProfiles.js';
+import { JobPlacement } from './jobPlacement.js';
+import { PathOptimizer } from './pathOptimizer.js';
+
 export class GcodeGenerator {
-    constructor(settings) {
+    constructor(settings, coordinates) {
         this.settings = settings;
+        this.coordinates = coordinates;
+        this.profile = new OutputProfile(settings);
+        this.placement = new JobPlacement(settings, coordinates);
+        this.headerNote = null;
+        this.optimizer = new PathOptimizer(this);
+        this.travel = null;
     }
 
     /**
      * Generate G-code from Fabric.js path objects
+     * options.placement: false ignores job placement; options.note adds a header line
      */
-    generate(paths) {
+    generate(paths, options = {}) {
+        this.headerNote = options.note || null;
+        this.travel = null;
+
         if (!paths.length) {
-            return this.getHeader() + '\n; No paths to generate\n\nM2 ; end program\n';
+            return this.getHeader(null) + '\n; No paths to generate\n\nM2 ; end program\n';
         }
 
-        let gcode = this.getHeader();
-
-        // Optimize path order (nearest neighbor)
-        const orderedPaths = this.optimizePathOrder(paths);
+        // Placement moves the whole job, measured from the drawing as edited; it is passed down
+        // rather than kept, so exports and nesting always see the drawing itself
+        let placementMatrix = null;
+        if (options.placement !== false && !this.placement.isIdentity()) {
+            const bounds = this.getBounds(paths);
+            if (bounds) placementMatrix = this.placement.getMatrix(bounds);
+        }
 
-        let currentX = 0;
-        let currentY = 0;
-        let pathIndex = 1;
+        // Order strokes inside-out, then for the least travel, starting and ending at the machine origin
+        const home = this.coordinates.machineToDocument(0, 0);
+        const plan = this.optimizer.optimize(paths, home, placementMatrix);
+        this.travel = { distance: plan.travel, unoptimised: plan.unoptimised };
+
+        let gcode = this.getHeader(placementMatrix);
+        let pathIndex = 0;
+        let lastPath = null;
+
+        for (const { pathObj, stroke, crossing } of plan.strokes) {
+            // Strokes of one path may be split up by the ordering; each run gets a section
+            if (pathObj !== lastPath) {
+                pathIndex++;
+                gcode += `\n; --- Path ${pathIndex} ---\n`;
+                lastPath = pathObj;
+            }
 
-        for (const pathObj of orderedPaths) {
-            gcode += `\n; --- Path ${pathIndex} ---\n`;
+            // Convert to absolute line/arc moves
+            const moves = this.strokeToMoves(stroke);
 
-            // Convert Fabric.js path to absolute coordinates
-            const points = this.pathToPoints(pathObj);
+            if (moves.length < 2) continue;
 
-            if (points.length < 2) continue;
+            // Inside-out order cannot hold for a stroke that is both inside and outside a part
+            if (crossing) {
+                gcode += '; WARNING: Open path crosses a closed outline; the part may shift before it is cut\n';
+            }
 
             // Travel to start (pen up)
-            const start = points[0];
-            gcode += `${this.settings.penUpCmd} ; pen up\n`;
-            gcode += `G0 X${this.toMm(start.x).toFixed(2)} Y${this.toMm(start.y).toFixed(2)} F${this.settings.travelRate} ; travel to start\n`;
+            let last = this.roundPoint(this.toMachine(moves[0].to));
+            gcode += this.profile.penUp();
+            gcode += `G0 X${this.formatNumber(last.x)} Y${this.formatNumber(last.y)} F${this.settings.travelRate} ; travel to start\n`;
 
             // Lower pen
-            gcode += `${this.settings.penDownCmd} ; pen down\n`;
+            gcode += this.profile.penDown();
 
-            // Draw path
-            for (let i = 1; i < points.length; i++) {
-                const pt = points[i];
-                gcode += `G1 X${this.toMm(pt.x).toFixed(2)} Y${this.toMm(pt.y).toFixed(2)} F${this.settings.feedRate}\n`;
+            // Draw stroke
+            for (let i = 1; i < moves.length; i++) {
+                const { line, end } = this.formatMove(moves[i], last);
+                gcode += line;
+                last = end;
             }
-
-            currentX = points[points.length - 1].x;
-            currentY = points[points.length - 1].y;
-            pathIndex++;
         }
 
         // End program
         gcode += `\n; --- End ---\n`;
-        gcode += `${this.settings.penUpCmd} ; pen up\n`;
+        gcode += this.profile.penUp();
         gcode += `G0 X0 Y0 F${this.settings.travelRate} ; return home\n`;
         gcode += `M2 ; end program\n`;
 
         return gcode;
     }
 
-    getHeader() {
+    /**
+     * Document bounds of everything the paths draw, or null when they draw nothing
+     */
+    getBounds(paths) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        for (const pathObj of paths) {
+            for (const pt of this.pathToPoints(pathObj)) {
+                bounds.minX = Math.min(bounds.minX, pt.x);
+                bounds.minY = Math.min(bounds.minY, pt.y);
+                bounds.maxX = Math.max(bounds.maxX, pt.x);
+                bounds.maxY = Math.max(bounds.maxY, pt.y);
+            }
+        }
+
+        return bounds.minX <= bounds.maxX ? bounds : null;
+    }
+
+    getHeader(placementMatrix) {
         const date = new Date().toISOString().split('T')[0];
         return `; ============================================
 ; Void-Satellite CNC Plotter
@@ -69,60 +117,79 @@ export class GcodeGenerator {
 ; Work Area: ${this.settings.bedWidth}mm × ${this.settings.bedHeight}mm
 ; Feed Rate: ${this.settings.feedRate} mm/min
 ; Travel Rate: ${this.settings.travelRate} mm/min
-; ============================================
+${this.profile.headerComment()}${this.getPlacementComment(placementMatrix)}${this.getTravelComment()}${this.headerNote ? `; ${this.headerNote}\n` : ''}; ============================================
 
 G21 ; mm mode
 G90 ; absolute positioning
-G92 X0 Y0 Z0 ; set current position as origin
+${this.settings.arcFitting ? 'G17 ; XY plane for arcs\n' : ''}G92 X0 Y0 Z0 ; set current position as origin
 ; G28 ; uncomment to home first
 `;
     }
 
+    getPlacementComment(placementMatrix) {
+        const description = placementMatrix ? this.placement.describe() : null;
+        return description ? `; Placement: ${description}\n` : '';
+    }
+
     /**
-     * Convert canvas pixels to mm based on canvas/bed ratio
+     * Pen-up travel after ordering, and what drawing order would have needed
      */
-    toMm(pixels, canvasSize = 800, bedSize = null) {
-        // Assuming canvas maps to bed proportionally
-        // This will be scaled properly when we know actual canvas dimensions
-        const bed = bedSize || this.settings.bedWidth;
-        return (pixels / canvasSize) * bed;
+    getTravelComment() {
+        return this.travel ? `; Travel: ${this.describeTravel()}\n` : '';
+    }
+
+    describeTravel() {
+        const { distance, unoptimised } = this.travel;
+        return `${distance.toFixed(0)} mm (${Math.max(0, unoptimised - distance).toFixed(0)} mm saved by ordering)`;
     }
 
     /**
-     * Optimize path order using nearest neighbor algorithm
+     * Format one draw move as G1 or G2/G3, relative to the last emitted position
      */
-    optimizePathOrder(paths) {
-        if (paths.length <= 1) return paths;
+    formatMove(move, from) {
+        const end = this.roundPoint(this.toMachine(move.to));
+        const x = this.formatNumber(end.x);
+        const y = this.formatNumber(end.y);
 
-        const ordered = [];
-        const remaining = [...paths];
-        let currentPos = { x: 0, y: 0 };
+        if (move.type !== 'arc') {
+            return { line: `G1 X${x} Y${y} F${this.settings.feedRate}\n`, end };
+        }
 
-        while (remaining.length > 0) {
-            let nearestIndex = 0;
-            let nearestDist = Infinity;
+        const center = this.toMachine(move.center);
+        const mid = this.toMachine(move.mid);
 
-            for (let i = 0; i < remaining.length; i++) {
-                const points = this.pathToPoints(remaining[i]);
-                if (points.length === 0) continue;
+        // Direction from the machine-space turn (Y up): counter-clockwise is G3
+        const turn = (mid.x - from.x) * (end.y - from.y) - (mid.y - from.y) * (end.x - from.x);
+        const code = turn > 0 ? 'G3' : 'G2';
+        const i = this.formatNumber(center.x - from.x);
+        const j = this.formatNumber(center.y - from.y);
 
-                const startDist = this.distance(currentPos, points[0]);
-                if (startDist < nearestDist) {
-                    nearestDist = startDist;
-                    nearestIndex = i;
-                }
-            }
+        return { line: `${code} X${x} Y${y} I${i} J${j} F${this.settings.feedRate}\n`, end };
+    }
 
-            const nearest = remaining.splice(nearestIndex, 1)[0];
-            ordered.push(nearest);
+    /**
+     * Arc output needs finer rounding so GRBL's radius check passes
+     */
+    getPrecision() {
+        return this.settings.arcFitting ? 3 : 2;
+    }
 
-            const points = this.pathToPoints(nearest);
-            if (points.length > 0) {
-                currentPos = points[points.length - 1];
-            }
-        }
+    formatNumber(value) {
+        return value.toFixed(this.getPrecision());
+    }
 
-        return ordered;
+    roundPoint(pt) {
+        return {
+            x: parseFloat(this.formatNumber(pt.x)),
+            y: parseFloat(this.formatNumber(pt.y))
+        };
+    }
+
+    /**
+     * Convert a document point (mm) to machine coordinates (mm)
+     */
+    toMachine(pt) {
+        return this.coordinates.documentToMachine(pt.x, pt.y);
     }
 
     distance(p1, p2) {
@@ -132,182 +199,422 @@ G92 X0 Y0 Z0 ; set current position as origin
     }
 
     /**
-     * Convert Fabric.js path to array of points
+     * Convert path data to transformed line/curve segments (document mm)
+     * Handles the full SVG command set, absolute and relative; arcs become
+     * cubics before transforming so skew and non-uniform scale stay exact
      */
-    pathToPoints(pathObj) {
-        const points = [];
+    pathToSegments(pathObj, placementMatrix = null) {
+        const segments = [];
         const path = pathObj.path;
-        const scaleX = pathObj.scaleX || 1;
-        const scaleY = pathObj.scaleY || 1;
-        const left = pathObj.left || 0;
-        const top = pathObj.top || 0;
 
-        if (!path) return points;
+        if (!path) return segments;
+
+        // Path data is relative to pathOffset (the object's centre in path space);
+        // job placement applies on top of the object's own transform
+        const objectMatrix = this.getObjectMatrix(pathObj);
+        const matrix = placementMatrix ? this.multiplyMatrices(placementMatrix, objectMatrix) : objectMatrix;
+        const offset = pathObj.pathOffset || { x: 0, y: 0 };
+        const transform = (x, y) => this.transformPoint(x - offset.x, y - offset.y, matrix);
+
+        // Current point, subpath start and last control point, in path space
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        let lastControl = null;
+        let lastType = null;
+
+        const lineTo = (nx, ny) => {
+            segments.push({ type: 'line', from: transform(x, y), to: transform(nx, ny) });
+            x = nx;
+            y = ny;
+        };
 
-        let currentX = 0;
-        let currentY = 0;
+        const quadTo = (cx, cy, nx, ny) => {
+            segments.push({
+                type: 'quadratic',
+                from: transform(x, y),
+                control: transform(cx, cy),
+                to: transform(nx, ny)
+            });
+            lastControl = { x: cx, y: cy };
+            x = nx;
+            y = ny;
+        };
+
+        const cubicTo = (c1x, c1y, c2x, c2y, nx, ny) => {
+            segments.push({
+                type: 'cubic',
+                from: transform(x, y),
+                control1: transform(c1x, c1y),
+                control2: transform(c2x, c2y),
+                to: transform(nx, ny)
+            });
+            lastControl = { x: c2x, y: c2y };
+            x = nx;
+            y = ny;
+        };
+
+        // Reflect the previous control point when it belongs to a matching curve
+        const reflected = (types) => types.includes(lastType) && lastControl
+            ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+            : { x, y };
 
         for (const cmd of path) {
             const type = cmd[0];
+            const upper = type.toUpperCase();
+            const relative = type !== upper;
+            const args = cmd.slice(1).map(Number);
+            const arity = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 }[upper];
+
+            if (arity === undefined) continue;
+
+            if (upper === 'Z') {
+                // Paths often draw back to the start before Z; a second closing line would be zero-length
+                const from = transform(x, y);
+                const to = transform(startX, startY);
+                if (Math.hypot(to.x - from.x, to.y - from.y) > 1e-6) {
+                    lineTo(startX, startY);
+                } else {
+                    x = startX;
+                    y = startY;
+                }
+                lastType = 'Z';
+                continue;
+            }
 
-            switch (type) {
-                case 'M': // Move to
-                    currentX = cmd[1];
-                    currentY = cmd[2];
-                    points.push(this.transformPoint(currentX, currentY, scaleX, scaleY, left, top));
-                    break;
+            // Commands may repeat their parameters; after M they are implicit L
+            for (let i = 0; i + arity <= args.length; i += arity) {
+                const a = args.slice(i, i + arity);
+                const dx = relative ? x : 0;
+                const dy = relative ? y : 0;
+                const current = upper === 'M' && i > 0 ? 'L' : upper;
+
+                switch (current) {
+                    case 'M': // Move to - starts a new subpath (pen lift)
+                        x = a[0] + dx;
+                        y = a[1] + dy;
+                        startX = x;
+                        startY = y;
+                        segments.push({ type: 'move', to: transform(x, y) });
+                        break;
+
+                    case 'L': // Line to
+                        lineTo(a[0] + dx, a[1] + dy);
+                        break;
+
+                    case 'H': // Horizontal line
+                        lineTo(a[0] + dx, y);
+                        break;
+
+                    case 'V': // Vertical line
+                        lineTo(x, a[0] + dy);
+                        break;
+
+                    case 'Q': // Quadratic curve
+                        quadTo(a[0] + dx, a[1] + dy, a[2] + dx, a[3] + dy);
+                        break;
+
+                    case 'T': { // Smooth quadratic curve
+                        const c = reflected(['Q', 'T']);
+                        quadTo(c.x, c.y, a[0] + dx, a[1] + dy);
+                        break;
+                    }
 
-                case 'L': // Line to
-                    currentX = cmd[1];
-                    currentY = cmd[2];
-                    points.push(this.transformPoint(currentX, currentY, scaleX, scaleY, left, top));
-                    break;
+                    case 'C': // Cubic curve
+                        cubicTo(a[0] + dx, a[1] + dy, a[2] + dx, a[3] + dy, a[4] + dx, a[5] + dy);
+                        break;
 
-                case 'Q': // Quadratic curve
-                    const qPoints = this.quadraticToPoints(
-                        currentX, currentY,
-                        cmd[1], cmd[2], // control point
-                        cmd[3], cmd[4], // end point
-                        this.settings.curveResolution
-                    );
-                    qPoints.forEach(pt => {
-                        points.push(this.transformPoint(pt.x, pt.y, scaleX, scaleY, left, top));
-                    });
-                    currentX = cmd[3];
-                    currentY = cmd[4];
-                    break;
+                    case 'S': { // Smooth cubic curve
+                        const c = reflected(['C', 'S']);
+                        cubicTo(c.x, c.y, a[0] + dx, a[1] + dy, a[2] + dx, a[3] + dy);
+                        break;
+                    }
 
-                case 'C': // Cubic curve
-                    const cPoints = this.cubicToPoints(
-                        currentX, currentY,
-                        cmd[1], cmd[2], // control point 1
-                        cmd[3], cmd[4], // control point 2
-                        cmd[5], cmd[6], // end point
-                        this.settings.curveResolution
-                    );
-                    cPoints.forEach(pt => {
-                        points.push(this.transformPoint(pt.x, pt.y, scaleX, scaleY, left, top));
-                    });
-                    currentX = cmd[5];
-                    currentY = cmd[6];
-                    break;
+                    case 'A': // Elliptical arc
+                        for (const c of this.arcToCubics(x, y, a[0], a[1], a[2], a[3], a[4], a[5] + dx, a[6] + dy)) {
+                            cubicTo(...c);
+                        }
+                        break;
+                }
 
-                case 'Z': // Close path
-                case 'z':
-                    if (points.length > 0) {
-                        points.push({ ...points[0] });
-                    }
-                    break;
+                lastType = current;
             }
         }
 
-        return points;
+        return segments;
     }
 
-    transformPoint(x, y, scaleX, scaleY, left, top) {
-        return {
-            x: x * scaleX + left,
-            y: y * scaleY + top
-        };
+    /**
+     * Convert an SVG endpoint arc to cubic beziers, one per quarter turn or less
+     * Returns [c1x, c1y, c2x, c2y, x, y] tuples (SVG spec F.6.5)
+     */
+    arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        if (x1 === x2 && y1 === y2) return [];
+
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (!rx || !ry) return [[x1, y1, x2, y2, x2, y2]];
+
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+
+        // Endpoint to centre parameterisation
+        const hx = (x1 - x2) / 2;
+        const hy = (y1 - y2) / 2;
+        const px = cos * hx + sin * hy;
+        const py = -sin * hx + cos * hy;
+
+        // Scale radii up if they cannot span the endpoints
+        const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const num = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+        const den = rx * rx * py * py + ry * ry * px * px;
+        let coef = Math.sqrt(Math.max(0, num / den));
+        if (Boolean(largeArc) === Boolean(sweep)) coef = -coef;
+
+        const cxp = coef * rx * py / ry;
+        const cyp = -coef * ry * px / rx;
+        const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+        const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta = angle(1, 0, (px - cxp) / rx, (py - cyp) / ry);
+        let delta = angle((px - cxp) / rx, (py - cyp) / ry, (-px - cxp) / rx, (-py - cyp) / ry);
+
+        if (!sweep && delta > 0) delta -= Math.PI * 2;
+        if (sweep && delta < 0) delta += Math.PI * 2;
+
+        const count = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+        const step = delta / count;
+        const k = 4 / 3 * Math.tan(step / 4);
+
+        // Point and derivative on the rotated ellipse
+        const point = (t) => ({
+            x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+            y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+        });
+        const derivative = (t) => ({
+            x: -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+            y: -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+        });
+
+        const cubics = [];
+        for (let i = 0; i < count; i++) {
+            const t1 = theta + step * i;
+            const t2 = t1 + step;
+            const p1 = point(t1);
+            const p2 = i === count - 1 ? { x: x2, y: y2 } : point(t2);
+            const d1 = derivative(t1);
+            const d2 = derivative(t2);
+
+            cubics.push([
+                p1.x + k * d1.x, p1.y + k * d1.y,
+                p2.x - k * d2.x, p2.y - k * d2.y,
+                p2.x, p2.y
+            ]);
+        }
+
+        return cubics;
     }
 
     /**
-     * Convert quadratic bezier to line segments
+     * Split a path into subpaths, one pen-down stroke each
+     * Every stroke starts with its 'move' segment; placementMatrix moves it for the job
      */
-    quadraticToPoints(x0, y0, cx, cy, x1, y1, segments) {
-        const points = [];
-        for (let i = 1; i <= segments; i++) {
-            const t = i / segments;
-            const mt = 1 - t;
-            points.push({
-                x: mt * mt * x0 + 2 * mt * t * cx + t * t * x1,
-                y: mt * mt * y0 + 2 * mt * t * cy + t * t * y1
-            });
+    pathToStrokes(pathObj, placementMatrix = null) {
+        const strokes = [];
+        let stroke = null;
+
+        for (const seg of this.pathToSegments(pathObj, placementMatrix)) {
+            if (seg.type === 'move' || !stroke) {
+                stroke = [seg.type === 'move' ? seg : { type: 'move', to: seg.from }];
+                strokes.push(stroke);
+                if (seg.type === 'move') continue;
+            }
+            stroke.push(seg);
         }
-        return points;
+
+        // A lone move draws nothing
+        return strokes.filter(s => s.length > 1);
+    }
+
+    /**
+     * Convert Fabric.js path to array of points
+     * Subpaths are concatenated; use pathToStrokes() to keep them apart
+     */
+    pathToPoints(pathObj) {
+        return this.pathToStrokes(pathObj).flatMap(stroke => this.strokeToPoints(stroke));
     }
 
     /**
-     * Convert cubic bezier to line segments
+     * Flatten one stroke into points
      */
-    cubicToPoints(x0, y0, cx1, cy1, cx2, cy2, x1, y1, segments) {
+    strokeToPoints(stroke) {
         const points = [];
-        for (let i = 1; i <= segments; i++) {
-            const t = i / segments;
-            const mt = 1 - t;
-            points.push({
-                x: mt * mt * mt * x0 + 3 * mt * mt * t * cx1 + 3 * mt * t * t * cx2 + t * t * t * x1,
-                y: mt * mt * mt * y0 + 3 * mt * mt * t * cy1 + 3 * mt * t * t * cy2 + t * t * t * y1
-            });
+        const tolerance = this.getCurveTolerance();
+
+        for (const seg of stroke) {
+            switch (seg.type) {
+                case 'move':
+                case 'line':
+                    points.push(seg.to);
+                    break;
+
+                case 'quadratic':
+                    points.push(...this.quadraticToPoints(
+                        seg.from.x, seg.from.y,
+                        seg.control.x, seg.control.y,
+                        seg.to.x, seg.to.y,
+                        tolerance
+                    ));
+                    break;
+
+                case 'cubic':
+                    points.push(...this.cubicToPoints(
+                        seg.from.x, seg.from.y,
+                        seg.control1.x, seg.control1.y,
+                        seg.control2.x, seg.control2.y,
+                        seg.to.x, seg.to.y,
+                        tolerance
+                    ));
+                    break;
+            }
         }
+
         return points;
     }
 
     /**
-     * Parse G-code string back into toolpath for preview
+     * Convert one stroke to output moves: lines, plus arcs fitted to
+     * curves when arc output is enabled
      */
-    parseGcode(gcode) {
-        const toolpath = [];
-        const lines = gcode.split('\n');
-
-        let currentX = 0;
-        let currentY = 0;
-        let penDown = false;
-        let feedRate = this.settings.feedRate;
-
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed || trimmed.startsWith(';')) continue;
-
-            // Check for pen up/down
-            if (trimmed.includes('Z5') || trimmed.includes('Z 5') || trimmed.includes('S0')) {
-                penDown = false;
-            } else if (trimmed.includes('Z0') || trimmed.includes('Z 0') || trimmed.includes('S90')) {
-                penDown = true;
-            }
+    strokeToMoves(stroke) {
+        if (!this.settings.arcFitting) {
+            return this.strokeToPoints(stroke).map(to => ({ type: 'line', to }));
+        }
 
-            // Parse coordinates
-            const xMatch = trimmed.match(/X(-?\d+\.?\d*)/i);
-            const yMatch = trimmed.match(/Y(-?\d+\.?\d*)/i);
-            const fMatch = trimmed.match(/F(\d+\.?\d*)/i);
+        const fitter = new ArcFitter(this.getArcTolerance());
+        const moves = [];
 
-            if (fMatch) {
-                feedRate = parseFloat(fMatch[1]);
-            }
-
-            if (xMatch || yMatch) {
-                const newX = xMatch ? parseFloat(xMatch[1]) : currentX;
-                const newY = yMatch ? parseFloat(yMatch[1]) : currentY;
+        for (const seg of stroke) {
+            switch (seg.type) {
+                case 'move':
+                case 'line':
+                    moves.push({ type: 'line', to: seg.to });
+                    break;
 
-                toolpath.push({
-                    type: penDown ? 'draw' : 'travel',
-                    from: { x: currentX, y: currentY },
-                    to: { x: newX, y: newY },
-                    feedRate: feedRate
-                });
+                case 'quadratic':
+                    moves.push(...fitter.fitQuadratic(seg.from, seg.control, seg.to));
+                    break;
 
-                currentX = newX;
-                currentY = newY;
+                case 'cubic':
+                    moves.push(...fitter.fitCubic(seg.from, seg.control1, seg.control2, seg.to));
+                    break;
             }
         }
 
-        return toolpath;
+        return moves;
     }
 
     /**
-     * Estimate total path length for time calculation
+     * Object-to-document transform matrix [a, b, c, d, e, f]
+     * Paths normally carry Fabric's calcTransformMatrix(); one without draws its path data
+     * where it stands, so the translation undoes the pathOffset taken off in pathToSegments
      */
-    getEstimatedLength(paths) {
-        let total = 0;
+    getObjectMatrix(pathObj) {
+        if (pathObj.matrix) return pathObj.matrix;
 
-        for (const pathObj of paths) {
-            const points = this.pathToPoints(pathObj);
-            for (let i = 1; i < points.length; i++) {
-                total += this.distance(points[i - 1], points[i]);
-            }
+        const offset = pathObj.pathOffset || { x: 0, y: 0 };
+        return [1, 0, 0, 1, offset.x, offset.y];
+    }
+
+    multiplyMatrices(a, b) {
+        return [
+            a[0] * b[0] + a[2] * b[1],
+            a[1] * b[0] + a[3] * b[1],
+            a[0] * b[2] + a[2] * b[3],
+            a[1] * b[2] + a[3] * b[3],
+            a[0] * b[4] + a[2] * b[5] + a[4],
+            a[1] * b[4] + a[3] * b[5] + a[5]
+        ];
+    }
+
+    transformPoint(x, y, matrix) {
+        return {
+            x: matrix[0] * x + matrix[2] * y + matrix[4],
+            y: matrix[1] * x + matrix[3] * y + matrix[5]
+        };
+    }
+
+    /**
+     * Maximum chordal deviation (mm) allowed when flattening curves
+     */
+    getCurveTolerance() {
+        return Math.max(this.settings.curveTolerance || 0.1, 0.001);
+    }
+
+    getArcTolerance() {
+        return Math.max(this.settings.arcTolerance || 0.05, 0.001);
+    }
+
+    /**
+     * Convert quadratic bezier to line segments within `tolerance` mm
+     */
+    quadraticToPoints(x0, y0, cx, cy, x1, y1, tolerance) {
+        // Elevate to the equivalent cubic
+        return this.cubicToPoints(
+            x0, y0,
+            x0 + (cx - x0) * 2 / 3, y0 + (cy - y0) * 2 / 3,
+            x1 + (cx - x1) * 2 / 3, y1 + (cy - y1) * 2 / 3,
+            x1, y1,
+            tolerance
+        );
+    }
+
+    /**
+     * Convert cubic bezier to line segments within `tolerance` mm
+     * Subdivides until the control points lie within tolerance of the chord,
+     * so small fillets get few points and long sweeping curves get more
+     */
+    cubicToPoints(x0, y0, cx1, cy1, cx2, cy2, x1, y1, tolerance, depth = 0) {
+        const p0 = { x: x0, y: y0 };
+        const p1 = { x: x1, y: y1 };
+        const flatness = Math.max(
+            this.segmentDistance({ x: cx1, y: cy1 }, p0, p1),
+            this.segmentDistance({ x: cx2, y: cy2 }, p0, p1)
+        );
+
+        if (flatness <= tolerance || depth >= 16) {
+            return [p1];
         }
 
-        // Convert to mm
-        return this.toMm(total);
+        // De Casteljau split at t = 0.5
+        const ax = (x0 + cx1) / 2, ay = (y0 + cy1) / 2;
+        const bx = (cx1 + cx2) / 2, by = (cy1 + cy2) / 2;
+        const cx = (cx2 + x1) / 2, cy = (cy2 + y1) / 2;
+        const abx = (ax + bx) / 2, aby = (ay + by) / 2;
+        const bcx = (bx + cx) / 2, bcy = (by + cy) / 2;
+        const mx = (abx + bcx) / 2, my = (aby + bcy) / 2;
+
+        return [
+            ...this.cubicToPoints(x0, y0, ax, ay, abx, aby, mx, my, tolerance, depth + 1),
+            ...this.cubicToPoints(mx, my, bcx, bcy, cx, cy, x1, y1, tolerance, depth + 1)
+        ];
+    }
+
+    segmentDistance(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        if (lengthSq === 0) return this.distance(p, a);
+
+        const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        return this.distance(p, { x: a.x + dx * t, y: a.y + dy * t });
     }
 }
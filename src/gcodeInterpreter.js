@@ -0,0 +1,331 @@
+/**
+ * G-code Interpreter - Modal interpreter for the GRBL dialect
+ * Tracks units, distance mode, motion mode, G92 offsets and pen state line by line,
+ * and returns typed moves that keep their 0-based source line
+ */
+
+import { OutputProfile } from './outputProfiles.js';
+
+// Words GRBL 1.1 accepts
+export const SUPPORTED_G = [
+    0, 1, 2, 3, 4, 10, 17, 18, 19, 20, 21, 28, 28.1, 30, 30.1, 38.2, 38.3, 38.4, 38.5,
+    40, 43.1, 49, 53, 54, 55, 56, 57, 58, 59, 61, 80, 90, 91, 91.1, 92, 92.1, 93, 94
+];
+export const SUPPORTED_M = [0, 1, 2, 3, 4, 5, 7, 8, 9, 30, 56];
+const SUPPORTED_LETTERS = 'FGIJKLMNPRSTXYZ';
+
+// Commands that use the axis words themselves, so the line is not a move
+const AXIS_WORD_COMMANDS = [10, 28, 28.1, 30, 30.1, 92];
+// "; WARNING: ..." comments from the generator
+const GENERATOR_WARNING = /^\s*;\s*WARNING:\s*(.+)$/i;
+
+export class GcodeInterpreter {
+    constructor(settings) {
+        this.settings = settings;
+        this.profile = new OutputProfile(settings);
+    }
+
+    /**
+     * Interpret a whole program
+     * Returns { moves, problems, modal } where each move is
+     *   { line, motion: 0-3, type: 'travel' | 'draw', from, to, feedRate, penDown, arc? }
+     * or a dwell { line, type: 'dwell', from, to, duration } (seconds)
+     * Positions are machine-axis mm from where the program started, with G92 offsets applied
+     */
+    interpret(gcode) {
+        const moves = [];
+        const problems = [];
+        const pen = this.getPenSignature();
+        const state = {
+            position: { x: 0, y: 0, z: 0 },
+            offset: { x: 0, y: 0, z: 0 },   // work = position - offset
+            motion: null,
+            absolute: true,
+            inches: false,
+            plane: 17,
+            feed: null,
+            spindleOn: false,
+            spindleSpeed: 0,
+            penDown: false,
+            unitsSetAt: null,
+            distanceSetAt: null
+        };
+
+        const report = (line, severity, message) => problems.push({ line, severity, message });
+
+        gcode.split('\n').forEach((raw, line) => {
+            // Warnings the generator wrote into the program are listed with the rest
+            const warning = raw.match(GENERATOR_WARNING);
+            if (warning) report(line, 'warning', warning[1]);
+
+            const text = this.normalize(raw);
+            if (!text || text.startsWith('$') || text === '%') return;
+
+            const block = this.parseBlock(text);
+            if (block.error) {
+                // GRBL rejects the whole line, so nothing on it happens
+                report(line, 'error', block.error);
+                return;
+            }
+
+            const moved = this.executeBlock(block, line, state, moves, report);
+
+            // Custom commands with no Z or S difference can only be recognised as written
+            if (pen.axis === null) {
+                if (text === pen.upCommand) state.penDown = false;
+                else if (text === pen.downCommand) state.penDown = true;
+            } else {
+                this.updatePenFromMachine(block, moved, state, pen);
+            }
+        });
+
+        return {
+            moves,
+            problems,
+            modal: { unitsSetAt: state.unitsSetAt, distanceSetAt: state.distanceSetAt }
+        };
+    }
+
+    /**
+     * Moves that travel in XY, in the shape the preview and frame expect
+     */
+    toolpath(program) {
+        return program.moves.filter(move =>
+            move.type !== 'dwell' && (move.to.x !== move.from.x || move.to.y !== move.from.y || move.arc));
+    }
+
+    // ============================================
+    // Parsing
+    // ============================================
+
+    /**
+     * Uppercase, without comments or whitespace, so commands compare as GRBL sees them
+     */
+    normalize(line) {
+        return (line || '')
+            .replace(/\([^)]*\)/g, '')
+            .replace(/;.*$/, '')
+            .replace(/\s+/g, '')
+            .toUpperCase();
+    }
+
+    /**
+     * Split a normalized line into { gCodes, mCodes, words } or { error }
+     */
+    parseBlock(text) {
+        const block = { gCodes: [], mCodes: [], words: {} };
+        let rest = text;
+
+        while (rest.length) {
+            const match = rest.match(/^([A-Z])([-+]?(?:\d+\.?\d*|\.\d+))/);
+            if (!match) {
+                return { error: `Cannot read '${rest.slice(0, 12)}'` };
+            }
+            rest = rest.slice(match[0].length);
+
+            const letter = match[1];
+            const value = parseFloat(match[2]);
+
+            if (!SUPPORTED_LETTERS.includes(letter)) {
+                return { error: `Unsupported word ${letter}${match[2]}` };
+            }
+
+            if (letter === 'G') {
+                if (!SUPPORTED_G.includes(value)) return { error: `Unsupported command G${match[2]}` };
+                block.gCodes.push(value);
+            } else if (letter === 'M') {
+                if (!SUPPORTED_M.includes(value)) return { error: `Unsupported command M${match[2]}` };
+                block.mCodes.push(value);
+            } else if (letter in block.words) {
+                return { error: `${letter} appears more than once` };
+            } else {
+                block.words[letter] = value;
+            }
+        }
+
+        return block;
+    }
+
+    // ============================================
+    // Execution
+    // ============================================
+
+    /**
+     * Apply one line to the modal state; true when it moved the machine
+     */
+    executeBlock(block, line, state, moves, report) {
+        const { gCodes, mCodes, words } = block;
+
+        // Modal groups first: they change how this line's numbers are read
+        for (const code of gCodes) {
+            if (code <= 3) state.motion = code;
+            if (code === 17 || code === 18 || code === 19) state.plane = code;
+            if (code === 20 || code === 21) {
+                state.inches = code === 20;
+                if (state.unitsSetAt === null) state.unitsSetAt = line;
+            }
+            if (code === 90 || code === 91) {
+                state.absolute = code === 90;
+                if (state.distanceSetAt === null) state.distanceSetAt = line;
+            }
+        }
+
+        const scale = state.inches ? 25.4 : 1;
+
+        // Spindle (servo and laser pens)
+        if (words.S !== undefined) state.spindleSpeed = words.S;
+        if (mCodes.includes(3) || mCodes.includes(4)) state.spindleOn = true;
+        if (mCodes.includes(5)) state.spindleOn = false;
+
+        if (words.F !== undefined) state.feed = words.F * scale;
+
+        const position = state.position;
+
+        if (gCodes.includes(4)) {
+            moves.push({ line, type: 'dwell', from: { ...position }, to: { ...position }, duration: words.P || 0 });
+        }
+
+        if (gCodes.includes(92.1)) {
+            state.offset = { x: 0, y: 0, z: 0 };
+        }
+
+        const axes = ['x', 'y', 'z'].filter(axis => words[axis.toUpperCase()] !== undefined);
+        if (!axes.length) return false;
+
+        // G92 / G10 L20: the current position now reads as the given work coordinates
+        if (gCodes.includes(92) || (gCodes.includes(10) && words.L === 20)) {
+            axes.forEach(axis => {
+                state.offset[axis] = position[axis] - words[axis.toUpperCase()] * scale;
+            });
+            return false;
+        }
+
+        if (gCodes.includes(28) || gCodes.includes(30)) {
+            report(line, 'warning', `G${gCodes.includes(28) ? 28 : 30} goes to a stored position the preview cannot follow`);
+            return false;
+        }
+        if (gCodes.some(code => AXIS_WORD_COMMANDS.includes(code))) return false;
+
+        if (state.motion === null) {
+            report(line, 'error', 'Axis words without a motion mode (G0/G1/G2/G3)');
+            return false;
+        }
+
+        // G53 moves in machine coordinates for this line only
+        const machineCoordinates = gCodes.includes(53);
+        const to = { ...position };
+        axes.forEach(axis => {
+            const value = words[axis.toUpperCase()] * scale;
+            if (machineCoordinates) to[axis] = value;
+            else to[axis] = state.absolute ? value + state.offset[axis] : position[axis] + value;
+        });
+
+        if (state.motion !== 0 && state.feed === null) {
+            report(line, 'error', 'Feed rate has not been set (F)');
+        }
+
+        const move = {
+            line,
+            motion: state.motion,
+            type: state.penDown ? 'draw' : 'travel',
+            from: { ...position },
+            to,
+            // GRBL rapids run at the machine's max rate whatever F says
+            feedRate: state.motion === 0 ? this.settings.maxFeedRate : (state.feed || this.settings.feedRate),
+            penDown: state.penDown
+        };
+
+        if (state.motion === 2 || state.motion === 3) {
+            if (state.plane !== 17) {
+                report(line, 'warning', 'Arcs outside the XY plane are previewed as straight lines');
+            } else {
+                const center = this.arcCenter(position, to, words, scale, state.motion === 2);
+                if (center) {
+                    move.arc = { center, clockwise: state.motion === 2 };
+                } else {
+                    report(line, 'error', 'Arc needs I/J offsets or an R radius');
+                }
+            }
+        }
+
+        moves.push(move);
+        state.position = to;
+        return true;
+    }
+
+    /**
+     * Arc centre from I/J offsets (always incremental in GRBL), or from an R radius
+     * the way GRBL resolves it
+     */
+    arcCenter(from, to, words, scale, clockwise) {
+        if (words.I !== undefined || words.J !== undefined) {
+            return { x: from.x + (words.I || 0) * scale, y: from.y + (words.J || 0) * scale };
+        }
+
+        if (words.R === undefined) return null;
+
+        const r = words.R * scale;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const chordSq = dx * dx + dy * dy;
+        if (chordSq === 0) return null;
+
+        // Negative R selects the long way round; clockwise flips the side
+        let h = Math.sqrt(Math.max(0, 4 * r * r - chordSq)) / Math.sqrt(chordSq);
+        if (clockwise) h = -h;
+        if (r < 0) h = -h;
+
+        return {
+            x: from.x + (dx - h * dy) / 2,
+            y: from.y + (dy + h * dx) / 2
+        };
+    }
+
+    // ============================================
+    // Pen State
+    // ============================================
+
+    /**
+     * Pen state signature from the output profile, plus its commands as GRBL sees them
+     */
+    getPenSignature() {
+        return {
+            ...this.profile.getSignature(),
+            upCommand: this.normalize(this.profile.penUpCommand()),
+            downCommand: this.normalize(this.profile.penDownCommand())
+        };
+    }
+
+    /**
+     * Follow the pen through Z moves or spindle changes; only lines that set them count,
+     * since the height before the first one is unknown
+     */
+    updatePenFromMachine(block, moved, state, pen) {
+        const { words, mCodes } = block;
+        let value = null;
+
+        if (pen.axis === 'z' && moved && words.Z !== undefined) {
+            value = state.position.z;
+        } else if (pen.axis === 's' && (words.S !== undefined || mCodes.some(code => code >= 3 && code <= 5))) {
+            value = state.spindleOn ? state.spindleSpeed : 0;
+        }
+
+        if (value !== null) {
+            state.penDown = this.isCloserToDown(value, pen);
+        }
+    }
+
+    isCloserToDown(value, pen) {
+        return Math.abs(value - pen.down) < Math.abs(value - pen.up);
+    }
+
+    /**
+     * Pen state of the real machine from a status report's Z and spindle speed
+     */
+    isPenDown({ z = 0, spindle = 0 }) {
+        const pen = this.getPenSignature();
+        if (pen.axis === 's') return this.isCloserToDown(spindle, pen);
+        if (pen.axis === 'z') return this.isCloserToDown(z, pen);
+        return z <= 0;
+    }
+}
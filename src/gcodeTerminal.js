@@ -9,6 +9,8 @@ export class GcodeTerminal {
         this.onChange = options.onChange || (() => { });
         this.editor = null;
         this.content = '';
+        this.activeLine = null;
+        this.problemLines = new Map();  // line -> 'error' | 'warning'
 
         this.init();
     }
@@ -98,12 +100,47 @@ export class GcodeTerminal {
     updateLineNumbers() {
         const lines = this.editor.value.split('\n').length;
         let html = '';
-        for (let i = 1; i <= lines; i++) {
-            html += i + '<br>';
+        for (let i = 0; i < lines; i++) {
+            const classes = [];
+            if (i === this.activeLine) classes.push('active-line');
+            if (this.problemLines.has(i)) classes.push(`problem-${this.problemLines.get(i)}`);
+
+            html += classes.length ? `<span class="${classes.join(' ')}">${i + 1}</span><br>` : (i + 1) + '<br>';
         }
         this.lineNumbers.innerHTML = html;
     }
 
+    /**
+     * Mark validator problems in the gutter; errors win over warnings on the same line
+     */
+    setProblems(problems) {
+        this.problemLines = new Map();
+        problems.forEach(({ line, severity }) => {
+            if (this.problemLines.get(line) !== 'error') this.problemLines.set(line, severity);
+        });
+        this.updateLineNumbers();
+    }
+
+    /**
+     * Mark a line (0-based) in the gutter and keep it in view without taking focus
+     * Pass null to clear the mark
+     */
+    setActiveLine(lineNumber) {
+        if (this.activeLine === lineNumber) return;
+
+        this.activeLine = lineNumber;
+        this.updateLineNumbers();
+        if (lineNumber === null) return;
+
+        const lineHeight = parseFloat(getComputedStyle(this.editor).lineHeight) || 20;
+        const top = lineNumber * lineHeight;
+        const { scrollTop, clientHeight } = this.editor;
+
+        if (top < scrollTop || top > scrollTop + clientHeight - lineHeight * 2) {
+            this.editor.scrollTop = Math.max(0, top - clientHeight / 2);
+        }
+    }
+
     setContent(gcode) {
         this.content = gcode;
         this.editor.value = gcode;
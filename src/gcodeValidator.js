@@ -0,0 +1,122 @@
+/**
+ * G-code Validator - Bed-limit and safety checks before a job reaches the machine
+ * Works on GcodeInterpreter output; problems carry their 0-based terminal line
+ * and, for moves, the offending segment
+ */
+
+import { ArcFitter } from './arcFitter.js';
+
+export class GcodeValidator {
+    constructor(settings, coordinates) {
+        this.settings = settings;
+        this.coordinates = coordinates;
+    }
+
+    /**
+     * Check an interpreted program; returns [{ line, severity, message, from?, to? }] in line order
+     */
+    validate(program) {
+        const problems = [...program.problems];
+        const report = (line, severity, message, move = {}) => {
+            problems.push({ line, severity, message, ...move });
+        };
+
+        this.checkPreamble(program, report);
+
+        let lastFeed = null;
+
+        for (const move of program.moves) {
+            if (move.type === 'dwell') continue;
+
+            const segment = {
+                from: { x: move.from.x, y: move.from.y },
+                to: { x: move.to.x, y: move.to.y }
+            };
+
+            // Only where the feed changes, so one bad F does not flag every line after it
+            if (move.motion !== 0 && move.feedRate !== lastFeed) {
+                lastFeed = move.feedRate;
+                if (move.feedRate > this.settings.maxFeedRate) {
+                    report(move.line, 'warning',
+                        `Feed ${move.feedRate} mm/min is above the machine's ${this.settings.maxFeedRate} mm/min limit`);
+                }
+            }
+
+            const movesXY = move.to.x !== move.from.x || move.to.y !== move.from.y;
+            if (move.motion === 0 && movesXY && move.penDown) {
+                report(move.line, 'warning', 'Rapid G0 move with the pen down', segment);
+            }
+
+            const outside = this.movePoints(move).find(pt => !this.onBed(pt));
+            if (outside) {
+                const { edge, distance } = this.overshoot(outside);
+                report(move.line, 'error',
+                    `Move to X${outside.x.toFixed(2)} Y${outside.y.toFixed(2)} goes ${distance.toFixed(2)} mm past the ` +
+                    `${edge} edge of the ${this.settings.bedWidth} × ${this.settings.bedHeight} mm bed`, segment);
+            }
+        }
+
+        return problems.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Units and distance mode must be set before the first move,
+     * or the job runs in whatever mode the machine was left in
+     */
+    checkPreamble(program, report) {
+        const first = program.moves.find(move => move.type !== 'dwell');
+        if (!first) return;
+
+        const { unitsSetAt, distanceSetAt } = program.modal;
+        if (unitsSetAt === null || unitsSetAt > first.line) {
+            report(first.line, 'warning', 'No G21 before the first move; the machine keeps whatever units it was left in');
+        }
+        if (distanceSetAt === null || distanceSetAt > first.line) {
+            report(first.line, 'warning', 'No G90 before the first move; the machine may still be in relative mode');
+        }
+    }
+
+    /**
+     * Points to bounds-check along a move; arcs are sampled so their bulge counts
+     */
+    movePoints(move) {
+        if (!move.arc) return [move.to];
+
+        const { center, clockwise } = move.arc;
+        const sweep = ArcFitter.sweep(move.from, move.to, center, clockwise);
+        const steps = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 36)));
+        const points = [];
+
+        for (let i = 1; i <= steps; i++) {
+            points.push(ArcFitter.arcPoint(move.from, center, sweep, i / steps));
+        }
+
+        return points;
+    }
+
+    /**
+     * Bed checks run on the document frame, so they hold for any machine orientation
+     */
+    onBed(pt) {
+        const tolerance = 0.001;
+        const { x, y } = this.coordinates.machineToDocument(pt.x, pt.y);
+        return x >= -tolerance && x <= this.settings.bedWidth + tolerance &&
+            y >= -tolerance && y <= this.settings.bedHeight + tolerance;
+    }
+
+    /**
+     * Which bed edge an off-bed point crosses, and by how much
+     */
+    overshoot(pt) {
+        const { bedWidth, bedHeight } = this.settings;
+        const { x, y } = this.coordinates.machineToDocument(pt.x, pt.y);
+        const candidates = [
+            { edge: 'left', distance: -x },
+            { edge: 'right', distance: x - bedWidth },
+            { edge: 'rear', distance: -y },
+            { edge: 'front', distance: y - bedHeight }
+        ];
+
+        return candidates.reduce((worst, candidate) => candidate.distance > worst.distance ? candidate : worst);
+    }
+}
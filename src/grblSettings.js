@@ -0,0 +1,191 @@
+/**
+ * GRBL Settings - Reads, validates and writes the controller's $$ settings
+ * Backups are plain `$n=value` lines, the same text $$ prints
+ */
+
+// GRBL 1.1 settings: type is int, float, bool or mask (axis bit mask)
+export const GRBL_SETTINGS = {
+    0: { label: 'Step pulse time', unit: 'µs', type: 'int', min: 3, group: 'Stepper' },
+    1: { label: 'Step idle delay', unit: 'ms', type: 'int', min: 0, max: 255, group: 'Stepper' },
+    2: { label: 'Step pulse invert', type: 'mask', group: 'Stepper' },
+    3: { label: 'Step direction invert', type: 'mask', group: 'Stepper' },
+    4: { label: 'Invert step enable pin', type: 'bool', group: 'Stepper' },
+    5: { label: 'Invert limit pins', type: 'bool', group: 'Stepper' },
+    6: { label: 'Invert probe pin', type: 'bool', group: 'Stepper' },
+    10: { label: 'Status report options', type: 'int', min: 0, max: 3, group: 'Motion' },
+    11: { label: 'Junction deviation', unit: 'mm', type: 'float', min: 0, group: 'Motion' },
+    12: { label: 'Arc tolerance', unit: 'mm', type: 'float', min: 0, group: 'Motion' },
+    13: { label: 'Report in inches', type: 'bool', group: 'Motion' },
+    20: { label: 'Soft limits', type: 'bool', group: 'Limits & Homing' },
+    21: { label: 'Hard limits', type: 'bool', group: 'Limits & Homing' },
+    22: { label: 'Homing cycle', type: 'bool', group: 'Limits & Homing' },
+    23: { label: 'Homing direction invert', type: 'mask', group: 'Limits & Homing' },
+    24: { label: 'Homing locate feed', unit: 'mm/min', type: 'float', min: 0, group: 'Limits & Homing' },
+    25: { label: 'Homing search seek', unit: 'mm/min', type: 'float', min: 0, group: 'Limits & Homing' },
+    26: { label: 'Homing debounce', unit: 'ms', type: 'int', min: 0, max: 65535, group: 'Limits & Homing' },
+    27: { label: 'Homing pull-off', unit: 'mm', type: 'float', min: 0, group: 'Limits & Homing' },
+    30: { label: 'Max spindle speed', unit: 'RPM', type: 'float', min: 0, group: 'Spindle' },
+    31: { label: 'Min spindle speed', unit: 'RPM', type: 'float', min: 0, group: 'Spindle' },
+    32: { label: 'Laser mode', type: 'bool', group: 'Spindle' },
+    100: { label: 'X steps/mm', unit: 'steps/mm', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    101: { label: 'Y steps/mm', unit: 'steps/mm', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    102: { label: 'Z steps/mm', unit: 'steps/mm', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    110: { label: 'X max rate', unit: 'mm/min', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    111: { label: 'Y max rate', unit: 'mm/min', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    112: { label: 'Z max rate', unit: 'mm/min', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    120: { label: 'X acceleration', unit: 'mm/s²', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    121: { label: 'Y acceleration', unit: 'mm/s²', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    122: { label: 'Z acceleration', unit: 'mm/s²', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    130: { label: 'X max travel', unit: 'mm', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    131: { label: 'Y max travel', unit: 'mm', type: 'float', min: 0, exclusive: true, group: 'Axes' },
+    132: { label: 'Z max travel', unit: 'mm', type: 'float', min: 0, exclusive: true, group: 'Axes' }
+};
+
+export class GrblSettings {
+    constructor(machine) {
+        this.machine = machine;
+        this.values = {};   // id -> number, as last read from or written to the machine
+    }
+
+    /**
+     * Read $$ from the machine
+     */
+    async read() {
+        const lines = await this.machine.query('$$');
+        this.values = this.parse(lines.join('\n'));
+        return this.values;
+    }
+
+    /**
+     * Collect `$n=value` pairs from $$ output or a backup file
+     */
+    parse(text) {
+        const values = {};
+
+        text.split('\n').forEach(line => {
+            const match = line.trim().match(/^\$(\d+)\s*=\s*(-?[\d.]+)/);
+            if (match) {
+                values[parseInt(match[1], 10)] = parseFloat(match[2]);
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Problem with a single value, or null when GRBL would accept it
+     */
+    validate(id, value) {
+        const definition = GRBL_SETTINGS[id];
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+        if (!definition) return null;
+
+        const { type, min, max, exclusive } = definition;
+
+        if (type === 'bool' && value !== 0 && value !== 1) return 'Must be 0 or 1';
+        if (type === 'mask' && (!Number.isInteger(value) || value < 0 || value > 7)) {
+            return 'Must be an axis mask from 0 to 7';
+        }
+        if (type === 'int' && !Number.isInteger(value)) return 'Must be a whole number';
+        if (min !== undefined && (exclusive ? value <= min : value < min)) {
+            return exclusive ? `Must be greater than ${min}` : `Must be at least ${min}`;
+        }
+        if (max !== undefined && value > max) return `Must be at most ${max}`;
+
+        return null;
+    }
+
+    /**
+     * Validate a full set, including rules that span settings; returns { id: message }
+     */
+    validateAll(values) {
+        const errors = {};
+
+        Object.entries(values).forEach(([id, value]) => {
+            const error = this.validate(Number(id), value);
+            if (error) errors[id] = error;
+        });
+
+        // GRBL refuses soft limits without homing (error:10)
+        if (values[20] === 1 && values[22] === 0) {
+            errors[20] = errors[20] || 'Soft limits need the homing cycle enabled ($22=1)';
+        }
+
+        return errors;
+    }
+
+    /**
+     * Write values one at a time: GRBL stalls while it writes EEPROM, so nothing is queued behind them
+     */
+    async write(values) {
+        const errors = this.validateAll({ ...this.values, ...values });
+        const invalid = Object.keys(values).find(id => errors[id]);
+        if (invalid !== undefined) {
+            throw new Error(`$${invalid}: ${errors[invalid]}`);
+        }
+
+        for (const [id, value] of Object.entries(values)) {
+            await this.machine.query(`$${id}=${value}`);
+            this.values[id] = value;
+        }
+    }
+
+    /**
+     * Only the values that differ from what the machine holds
+     */
+    changes(values) {
+        const changed = {};
+
+        Object.entries(values).forEach(([id, value]) => {
+            if (this.values[id] !== value) changed[id] = value;
+        });
+
+        return changed;
+    }
+
+    backup(values = this.values) {
+        const lines = Object.keys(values)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(id => `$${id}=${values[id]}`);
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write a backup file's changed values back to the machine
+     */
+    async restore(text) {
+        const values = this.parse(text);
+        if (!Object.keys(values).length) {
+            throw new Error('No $n=value settings found in file');
+        }
+
+        const changed = this.changes(values);
+        await this.write(changed);
+        return Object.keys(changed).length;
+    }
+
+    /**
+     * App settings implied by the machine: bed size from max travel, max feed and
+     * acceleration from the slower axis, and the junction deviation
+     */
+    toMachineSettings(values = this.values, swapXY = false) {
+        const settings = {};
+
+        // With X and Y swapped the machine's X axis runs along the bed's depth
+        const [width, height] = swapXY ? [values[131], values[130]] : [values[130], values[131]];
+        if (width > 0) settings.bedWidth = width;
+        if (height > 0) settings.bedHeight = height;
+        if (values[110] > 0 && values[111] > 0) {
+            settings.maxFeedRate = Math.min(values[110], values[111]);
+        }
+        if (values[120] > 0 && values[121] > 0) {
+            settings.acceleration = Math.min(values[120], values[121]);
+        }
+        if (values[11] > 0) settings.junctionDeviation = values[11];
+
+        return settings;
+    }
+}
@@ -0,0 +1,484 @@
+/**
+ * GRBL Simulator - In-browser stand-in for a GRBL 1.1 controller
+ * Same interface as SerialTransport, so the streamer can be exercised without hardware.
+ * Models the 128-byte receive buffer, a 16-block planner, realtime commands,
+ * status reports, alarms and timed motion (arcs are simulated as straight moves)
+ */
+
+const RX_BUFFER_SIZE = 128;
+const PLANNER_SIZE = 16;
+const VERSION = '1.1h';
+
+const SUPPORTED_LETTERS = 'GMXYZFSPIJKRNTL';
+const SUPPORTED_G = [0, 1, 2, 3, 4, 10, 17, 18, 19, 20, 21, 28, 30, 53, 54, 80, 90, 91, 92, 93, 94];
+const SUPPORTED_M = [0, 1, 2, 3, 4, 5, 7, 8, 9, 30];
+
+export class GrblSimulator {
+    /**
+     * settings supplies bedWidth/bedHeight (soft limits) and travelRate (G0 speed)
+     * options.coordinates orients the bed on the machine axes, with machine zero at the bed origin
+     * timeScale > 1 runs motion faster than real time
+     */
+    constructor(settings, options = {}) {
+        this.settings = settings;
+        this.coordinates = options.coordinates || null;
+        this.timeScale = options.timeScale ?? 1;
+        this.latency = options.latency ?? 2;
+        this.softLimits = options.softLimits ?? true;
+
+        this.onData = null;
+        this.timers = new Set();
+
+        // GRBL settings as reported by $$ (defaults for a CNC shield build)
+        this.grblSettings = {
+            0: 10, 1: 25, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 10: 1, 11: 0.010, 12: 0.002,
+            13: 0, 20: 0, 21: 0, 22: 0, 23: 0, 24: 25, 25: 500, 26: 250, 27: 1,
+            30: 1000, 31: 0, 32: 0,
+            100: 80, 101: 80, 102: 400,
+            110: 6000, 111: 6000, 112: 500,
+            120: 500, 121: 500, 122: 50,
+            130: 0, 131: 0, 132: 50
+        };
+        const travel = this.travel();
+        this.grblSettings[130] = travel.maxX - travel.minX;
+        this.grblSettings[131] = travel.maxY - travel.minY;
+
+        this.reset();
+    }
+
+    // ============================================
+    // Transport Interface
+    // ============================================
+
+    open(onData) {
+        this.onData = onData;
+        this.reset();
+        this.respond(`\r\nGrbl ${VERSION} ['$' for help]`);
+        return Promise.resolve();
+    }
+
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.onData = null;
+        return Promise.resolve();
+    }
+
+    write(text) {
+        for (const char of text) {
+            switch (char) {
+                case '?': this.respond(this.statusReport()); break;
+                case '!': this.feedHold(); break;
+                case '~': this.cycleStart(); break;
+                case '\x18': this.softReset(); break;
+                case '\x85': this.jogCancel(); break;
+                default:
+                    if (!this.awaitingReset) this.rxBuffer += char;
+            }
+        }
+
+        if (this.rxBuffer.length > RX_BUFFER_SIZE) {
+            console.error(`GRBL simulator: receive buffer overflow (${this.rxBuffer.length} bytes)`);
+        }
+
+        this.processRx();
+        return Promise.resolve();
+    }
+
+    // ============================================
+    // Machine State
+    // ============================================
+
+    reset() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        this.state = this.state === 'Alarm' ? 'Alarm' : 'Idle';
+        this.awaitingReset = false;
+        this.rxBuffer = '';
+        this.planner = [];
+        this.block = null;       // executing block
+        this.blockStart = 0;
+        this.blockTimer = null;
+
+        this.position = this.position || { x: 0, y: 0, z: 0 };
+        this.workOffset = this.workOffset || { x: 0, y: 0, z: 0 };
+        this.modal = { motion: 0, absolute: true, inches: false, feed: 0, spindleOn: false, speed: 0 };
+        this.spindle = 0;        // speed the executing program has reached
+        this.plannedPosition = { ...this.position };
+    }
+
+    later(fn, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, delay);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    respond(text) {
+        this.later(() => {
+            if (this.onData) this.onData(text + '\r\n');
+        }, this.latency);
+    }
+
+    /**
+     * Limit alarms are critical: GRBL halts and ignores everything but reset
+     */
+    alarm(code) {
+        this.state = 'Alarm';
+        this.awaitingReset = true;
+        this.planner = [];
+        this.rxBuffer = '';
+        if (this.block) {
+            this.position = this.currentPosition();
+            this.block = null;
+            clearTimeout(this.blockTimer);
+        }
+        this.plannedPosition = { ...this.position };
+        this.respond(`ALARM:${code}`);
+        this.respond('[MSG:Reset to continue]');
+    }
+
+    feedHold() {
+        if (this.state !== 'Run') return;
+
+        this.state = 'Hold';
+        if (this.block) {
+            this.block.elapsed += Date.now() - this.blockStart;
+            clearTimeout(this.blockTimer);
+        }
+    }
+
+    cycleStart() {
+        if (this.state !== 'Hold') return;
+
+        this.state = this.block || this.planner.length ? 'Run' : 'Idle';
+        if (this.block) {
+            this.runBlock();
+        } else {
+            this.execute();
+        }
+    }
+
+    /**
+     * Jog cancel stops where the tool is and drops the planned jogs, without an alarm
+     */
+    jogCancel() {
+        if (!this.block?.jog) return;
+
+        this.position = this.currentPosition();
+        clearTimeout(this.blockTimer);
+        this.block = null;
+        this.planner = [];
+        this.plannedPosition = { ...this.position };
+        this.state = 'Idle';
+        this.processRx();
+    }
+
+    /**
+     * Reset mid-motion loses position, so GRBL comes back up locked in alarm
+     */
+    softReset() {
+        const moving = this.state === 'Run';
+        if (this.block) this.position = this.currentPosition();
+
+        this.reset();
+
+        if (moving) {
+            this.state = 'Alarm';
+            this.respond('ALARM:3');
+        }
+
+        this.respond(`\r\nGrbl ${VERSION} ['$' for help]`);
+        if (this.state === 'Alarm') {
+            this.respond('[MSG:\'$H\'|\'$X\' to unlock]');
+        }
+    }
+
+    currentPosition() {
+        if (!this.block) return { ...this.position };
+
+        const { from, to, duration } = this.block;
+        const running = this.state === 'Run' ? Date.now() - this.blockStart : 0;
+        const t = duration > 0 ? Math.min(1, (this.block.elapsed + running) * this.timeScale / duration) : 1;
+
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            z: from.z + (to.z - from.z) * t
+        };
+    }
+
+    statusReport() {
+        const pos = this.currentPosition();
+        const fmt = value => value.toFixed(3);
+        const feed = this.block && this.state === 'Run' ? this.block.feed : 0;
+        const free = RX_BUFFER_SIZE - Math.min(RX_BUFFER_SIZE, this.rxBuffer.length);
+
+        let report = `<${this.state}|MPos:${fmt(pos.x)},${fmt(pos.y)},${fmt(pos.z)}` +
+            `|Bf:${PLANNER_SIZE - this.planner.length - (this.block ? 1 : 0)},${free}|FS:${Math.round(feed)},${this.spindle}`;
+
+        const wco = this.workOffset;
+        if (wco.x || wco.y || wco.z) {
+            report += `|WCO:${fmt(wco.x)},${fmt(wco.y)},${fmt(wco.z)}`;
+        }
+
+        return report + '>';
+    }
+
+    // ============================================
+    // Line Processing
+    // ============================================
+
+    /**
+     * Move complete lines from the receive buffer into the planner while it has room;
+     * GRBL acknowledges a line once it is parsed, not when it has run
+     */
+    processRx() {
+        let index;
+        while (this.planner.length < PLANNER_SIZE && (index = this.rxBuffer.indexOf('\n')) >= 0) {
+            const line = this.rxBuffer.slice(0, index).replace(/\r/g, '').trim();
+            this.rxBuffer = this.rxBuffer.slice(index + 1);
+
+            const result = this.executeLine(line);
+            if (result) this.respond(result);
+        }
+
+        this.execute();
+    }
+
+    /**
+     * Returns the response line ('ok' or 'error:N'), or null when an alarm was raised
+     */
+    executeLine(line) {
+        if (!line) return 'ok';
+
+        if (line.startsWith('$')) {
+            return this.systemCommand(line);
+        }
+
+        if (this.state === 'Alarm') return 'error:9';
+
+        return this.gcodeLine(line);
+    }
+
+    systemCommand(line) {
+        const command = line.toUpperCase();
+
+        if (command === '$X') {
+            if (this.state === 'Alarm') {
+                this.state = 'Idle';
+                this.respond('[MSG:Caution: Unlocked]');
+            }
+            return 'ok';
+        }
+
+        if (command === '$H') {
+            if (this.state !== 'Idle' && this.state !== 'Alarm') return 'error:8';
+            this.position = { x: 0, y: 0, z: 0 };
+            this.plannedPosition = { ...this.position };
+            this.state = 'Idle';
+            return 'ok';
+        }
+
+        if (command === '$$') {
+            Object.entries(this.grblSettings).forEach(([key, value]) => this.respond(`$${key}=${value}`));
+            return 'ok';
+        }
+
+        if (command === '$I') {
+            this.respond(`[VER:${VERSION}.20190830:]`);
+            this.respond('[OPT:V,15,128]');
+            return 'ok';
+        }
+
+        if (command === '$G') {
+            const motion = `G${this.modal.motion}`;
+            this.respond(`[GC:${motion} G54 G17 ${this.modal.inches ? 'G20' : 'G21'} ${this.modal.absolute ? 'G90' : 'G91'} G94 ${this.modal.spindleOn ? 'M3' : 'M5'} M9 T0 F${this.modal.feed} S${this.modal.speed}]`);
+            return 'ok';
+        }
+
+        if (command.startsWith('$J=')) {
+            if (this.state === 'Alarm') return 'error:9';
+            return this.gcodeLine(line.slice(3), true);
+        }
+
+        const setting = command.match(/^\$(\d+)=(-?[\d.]+)$/);
+        if (setting) {
+            if (this.state !== 'Idle' && this.state !== 'Alarm') return 'error:8';
+            this.grblSettings[setting[1]] = parseFloat(setting[2]);
+            return 'ok';
+        }
+
+        return 'error:3';
+    }
+
+    parseWords(line) {
+        const text = line.replace(/\s+/g, '').toUpperCase();
+        const words = [];
+        let rest = text;
+
+        while (rest.length) {
+            const match = rest.match(/^([A-Z])([-+]?(?:\d+\.?\d*|\.\d+))/);
+            if (!match) {
+                return { error: /^[A-Z]/.test(rest) ? 2 : 1 };
+            }
+            words.push({ letter: match[1], value: parseFloat(match[2]) });
+            rest = rest.slice(match[0].length);
+        }
+
+        return { words };
+    }
+
+    gcodeLine(line, jog = false) {
+        const { words, error } = this.parseWords(line);
+        if (error) return `error:${error}`;
+
+        const values = {};
+        let motion = jog ? 1 : this.modal.motion;
+        let absolute = this.modal.absolute;
+        let inches = this.modal.inches;
+        let dwell = false;
+        let setOffset = false;
+        let spindleOn = this.modal.spindleOn;
+
+        for (const { letter, value } of words) {
+            if (!SUPPORTED_LETTERS.includes(letter)) return 'error:20';
+
+            if (letter === 'G') {
+                if (!SUPPORTED_G.includes(value)) return 'error:20';
+                if (value <= 3) motion = value;
+                if (value === 4) dwell = true;
+                if (value === 90) absolute = true;
+                if (value === 91) absolute = false;
+                if (value === 20) inches = true;
+                if (value === 21) inches = false;
+                if (value === 10 || value === 92) setOffset = true;
+            } else if (letter === 'M') {
+                if (!SUPPORTED_M.includes(value)) return 'error:20';
+                if (value === 3 || value === 4) spindleOn = true;
+                if (value === 5) spindleOn = false;
+            } else {
+                if (letter in values) return 'error:25';
+                values[letter] = value;
+            }
+        }
+
+        const scale = inches ? 25.4 : 1;
+
+        if (!jog) {
+            this.modal.absolute = absolute;
+            this.modal.inches = inches;
+            this.modal.motion = motion;
+        }
+        if ('F' in values) {
+            if (!jog) this.modal.feed = values.F * scale;
+        }
+
+        // Spindle changes wait their turn in the planner, as servo and laser pens rely on
+        if (!jog && (spindleOn !== this.modal.spindleOn || ('S' in values && values.S !== this.modal.speed))) {
+            this.modal.spindleOn = spindleOn;
+            if ('S' in values) this.modal.speed = values.S;
+            this.plan({
+                from: this.plannedPosition,
+                to: this.plannedPosition,
+                duration: 0,
+                feed: 0,
+                spindle: spindleOn ? this.modal.speed : 0
+            });
+        }
+
+        if (dwell) {
+            this.plan({ from: this.plannedPosition, to: this.plannedPosition, duration: (values.P || 0) * 1000, feed: 0 });
+            return 'ok';
+        }
+
+        // G92 / G10 L20: make the current position read as the given work coordinates
+        if (setOffset) {
+            ['x', 'y', 'z'].forEach(axis => {
+                const word = values[axis.toUpperCase()];
+                if (word !== undefined) {
+                    this.workOffset[axis] = this.plannedPosition[axis] - word * scale;
+                }
+            });
+            return 'ok';
+        }
+
+        const hasAxis = 'X' in values || 'Y' in values || 'Z' in values;
+        if (!hasAxis) return 'ok';
+
+        const target = { ...this.plannedPosition };
+        ['x', 'y', 'z'].forEach(axis => {
+            const word = values[axis.toUpperCase()];
+            if (word === undefined) return;
+            target[axis] = absolute ? word * scale + this.workOffset[axis] : target[axis] + word * scale;
+        });
+
+        const feed = motion === 0 ? this.settings.travelRate : (jog ? (values.F || 0) * scale : this.modal.feed);
+        if (!(feed > 0)) return 'error:22';
+
+        if (this.softLimits && !this.withinTravel(target)) {
+            if (jog) return 'error:15';
+            this.alarm(2);
+            return null;
+        }
+
+        const distance = Math.hypot(target.x - this.plannedPosition.x, target.y - this.plannedPosition.y, target.z - this.plannedPosition.z);
+        this.plan({ from: this.plannedPosition, to: target, duration: distance / feed * 60000, feed, jog });
+
+        return 'ok';
+    }
+
+    withinTravel(pt) {
+        const tolerance = 0.001;
+        const travel = this.travel();
+        return pt.x >= travel.minX - tolerance && pt.x <= travel.maxX + tolerance &&
+            pt.y >= travel.minY - tolerance && pt.y <= travel.maxY + tolerance;
+    }
+
+    /**
+     * Machine-coordinate range of the bed
+     */
+    travel() {
+        if (this.coordinates) return this.coordinates.machineBounds();
+        return { minX: 0, maxX: this.settings.bedWidth, minY: 0, maxY: this.settings.bedHeight };
+    }
+
+    plan(block) {
+        this.planner.push({ ...block, elapsed: 0 });
+        this.plannedPosition = { ...block.to };
+    }
+
+    // ============================================
+    // Motion
+    // ============================================
+
+    execute() {
+        if (this.block || this.state === 'Hold' || this.state === 'Alarm') return;
+
+        if (!this.planner.length) {
+            this.state = 'Idle';
+            return;
+        }
+
+        this.block = this.planner.shift();
+        this.state = 'Run';
+        if (this.block.spindle !== undefined) this.spindle = this.block.spindle;
+        this.runBlock();
+    }
+
+    runBlock() {
+        const remaining = Math.max(0, this.block.duration / this.timeScale - this.block.elapsed);
+        this.blockStart = Date.now();
+
+        this.blockTimer = this.later(() => {
+            this.position = { ...this.block.to };
+            this.block = null;
+
+            // Planner space freed: lines waiting in the receive buffer can be parsed
+            this.processRx();
+        }, remaining);
+    }
+}
@@ -0,0 +1,598 @@
+/**
+ * GRBL Streamer - Streams G-code with GRBL's character-counting protocol
+ * Works over any transport with open(onData, onClose), write(text) and close()
+ */
+
+// GRBL's serial receive buffer
+export const RX_BUFFER_SIZE = 128;
+
+export const REALTIME = {
+    status: '?',
+    feedHold: '!',
+    cycleStart: '~',
+    softReset: '\x18',
+    jogCancel: '\x85'
+};
+
+export const ERROR_MESSAGES = {
+    1: 'G-code words consist of a letter and a value. Letter was not found.',
+    2: 'Numeric value format is not valid or missing an expected value.',
+    3: 'Grbl \'$\' system command was not recognized or supported.',
+    4: 'Negative value received for an expected positive value.',
+    5: 'Homing cycle is not enabled via settings.',
+    6: 'Minimum step pulse time must be greater than 3usec.',
+    7: 'EEPROM read failed. Reset and restored to default values.',
+    8: 'Grbl \'$\' command cannot be used unless Grbl is IDLE.',
+    9: 'G-code locked out during alarm or jog state.',
+    10: 'Soft limits cannot be enabled without homing also enabled.',
+    11: 'Max characters per line exceeded. Line was not processed and executed.',
+    12: 'Grbl \'$\' setting value exceeds the maximum step rate supported.',
+    13: 'Safety door detected as opened and door state initiated.',
+    14: 'Build info or startup line exceeded EEPROM line length limit.',
+    15: 'Jog target exceeds machine travel. Command ignored.',
+    16: 'Jog command with no \'=\' or contains prohibited g-code.',
+    17: 'Laser mode requires PWM output.',
+    20: 'Unsupported or invalid g-code command found in block.',
+    21: 'More than one g-code command from same modal group found in block.',
+    22: 'Feed rate has not yet been set or is undefined.',
+    23: 'G-code command in block requires an integer value.',
+    24: 'Two G-code commands that both require the use of the XYZ axis words were detected in the block.',
+    25: 'A G-code word was repeated in the block.',
+    26: 'A G-code command implicitly or explicitly requires XYZ axis words in the block, but none were detected.',
+    27: 'N line number value is not within the valid range of 1 - 9,999,999.',
+    28: 'A G-code command was sent, but is missing some required P or L value words in the line.',
+    29: 'Grbl supports six work coordinate systems G54-G59. G59.1, G59.2, and G59.3 are not supported.',
+    30: 'The G53 G-code command requires either a G0 seek or G1 feed motion mode to be active.',
+    31: 'There are unused axis words in the block and G80 motion mode cancel is active.',
+    32: 'A G2 or G3 arc was commanded but there are no XYZ axis words in the selected plane to trace the arc.',
+    33: 'The motion command has an invalid target. G2, G3, and G38.2 generates this error.',
+    34: 'A G2 or G3 arc, traced with the radius definition, had a mathematical error when computing the arc geometry.',
+    35: 'A G2 or G3 arc, traced with the offset definition, is missing the IJK offset word in the selected plane.',
+    36: 'There are unused, leftover G-code words that aren\'t used by any command in the block.',
+    37: 'The G43.1 dynamic tool length offset command cannot apply an offset to an axis other than its configured axis.',
+    38: 'Tool number greater than max supported value.'
+};
+
+export const ALARM_MESSAGES = {
+    1: 'Hard limit triggered. Machine position is likely lost. Re-homing is highly recommended.',
+    2: 'Soft limit alarm. G-code motion target exceeds machine travel. Machine position retained.',
+    3: 'Reset while in motion. Machine position is likely lost. Re-homing is highly recommended.',
+    4: 'Probe fail. Probe is not in the expected initial state before starting probe cycle.',
+    5: 'Probe fail. Probe did not contact the workpiece within the programmed travel.',
+    6: 'Homing fail. The active homing cycle was reset.',
+    7: 'Homing fail. Safety door was opened during homing cycle.',
+    8: 'Homing fail. Pull off travel failed to clear limit switch.',
+    9: 'Homing fail. Could not find limit switch within search distances.'
+};
+
+export class GrblStreamer {
+    constructor(options = {}) {
+        this.onStateChange = options.onStateChange || (() => { });
+        this.onProgress = options.onProgress || (() => { });
+        this.onMessage = options.onMessage || (() => { });
+        this.onError = options.onError || (() => { });
+        this.onAlarm = options.onAlarm || (() => { });
+        this.onComplete = options.onComplete || (() => { });
+        this.onStatus = options.onStatus || (() => { });
+
+        // Delay between feed hold and reset on stop, so the machine decelerates first
+        this.stopDelay = options.stopDelay ?? 250;
+        // How long to wait for the startup banner after connecting
+        this.bootTimeout = options.bootTimeout ?? 2500;
+        this.bannerResolve = null;
+
+        this.transport = null;
+        this.state = 'disconnected';
+        this.version = null;
+        this.inputBuffer = '';
+
+        // Last reported work coordinate offset (GRBL only sends WCO now and then)
+        this.workOffset = { x: 0, y: 0, z: 0 };
+        // Largest free planner block count seen, i.e. the planner size
+        this.plannerCapacity = 0;
+
+        this.resetQueue();
+    }
+
+    resetQueue() {
+        // GRBL dropped whatever was pending, so outstanding queries never get their ok
+        [...(this.queue || []), ...(this.inFlight || [])].forEach(line => {
+            if (line.reject) line.reject(new Error(`'${line.text}' was cancelled`));
+        });
+
+        this.queue = [];        // [{ text, lineNumber }] still to send
+        this.inFlight = [];     // sent lines awaiting ok/error, oldest first
+        this.bufferUsed = 0;    // characters GRBL is holding for inFlight lines
+        this.sentCount = 0;
+        this.ackedCount = 0;
+        this.total = 0;
+        this.errors = [];
+        this.ackedLines = [];   // job lines GRBL has accepted, in order
+        this.jobStartedAt = null;
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.onStateChange(state);
+    }
+
+    isConnected() {
+        return this.state !== 'disconnected';
+    }
+
+    isStreaming() {
+        return this.state === 'streaming' || this.state === 'paused';
+    }
+
+    // ============================================
+    // Connection
+    // ============================================
+
+    async connect(transport) {
+        if (this.transport) {
+            await this.disconnect();
+        }
+
+        this.transport = transport;
+        this.inputBuffer = '';
+        this.resetQueue();
+
+        const banner = new Promise(resolve => { this.bannerResolve = resolve; });
+        await transport.open(
+            data => this.receive(data),
+            error => this.connectionLost(error || new Error('The port closed'))
+        );
+
+        // Opening the port resets most Arduinos; wait for GRBL to boot before sending
+        await Promise.race([banner, new Promise(resolve => setTimeout(resolve, this.bootTimeout))]);
+        this.bannerResolve = null;
+        this.setState('idle');
+    }
+
+    async disconnect() {
+        const transport = this.transport;
+        this.transport = null;
+        this.resetQueue();
+        this.setState('disconnected');
+
+        if (transport) {
+            try {
+                await transport.close();
+            } catch (error) {
+                console.error('Failed to close machine connection:', error);
+            }
+        }
+    }
+
+    /**
+     * The transport failed under us (cable pulled, port gone): report it and drop the connection
+     */
+    connectionLost(error) {
+        if (!this.transport) return;
+        console.error('Lost connection to the machine:', error);
+        // Disconnect first so the error stays on screen over the 'disconnected' status
+        this.disconnect();
+        this.onError({ code: null, message: `Connection lost: ${error.message}`, line: null, lineNumber: null });
+    }
+
+    write(text) {
+        if (!this.transport) {
+            throw new Error('Not connected to a machine');
+        }
+        return this.transport.write(text);
+    }
+
+    // ============================================
+    // Streaming
+    // ============================================
+
+    /**
+     * Stream a G-code program; terminal line numbers (0-based) are kept with each line
+     */
+    stream(gcode) {
+        if (!this.transport) {
+            throw new Error('Not connected to a machine');
+        }
+        if (this.isStreaming() || this.inFlight.length) {
+            throw new Error('The machine is still busy');
+        }
+
+        this.resetQueue();
+        this.queue = this.prepareLines(gcode);
+        this.total = this.queue.length;
+        this.jobStartedAt = Date.now();
+
+        this.setState('streaming');
+        this.onProgress(this.getProgress());
+        this.fill();
+    }
+
+    /**
+     * Queue a single command outside a job (e.g. $X); it is counted like any other line
+     */
+    send(line) {
+        const text = this.cleanLine(line);
+        if (!text) return;
+
+        this.queue.push({ text, lineNumber: null });
+        this.fill();
+    }
+
+    /**
+     * Send a command and resolve with the lines GRBL printed before its ok
+     * (e.g. $$ resolves with ['$0=10', '$1=25', ...]); an error:N rejects
+     */
+    query(line) {
+        if (!this.transport) {
+            return Promise.reject(new Error('Not connected to a machine'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({ text: this.cleanLine(line), lineNumber: null, responses: [], resolve, reject });
+            this.fill();
+        });
+    }
+
+    /**
+     * Strip comments and whitespace GRBL does not need; drop empty lines
+     */
+    prepareLines(gcode) {
+        const lines = [];
+
+        gcode.split('\n').forEach((line, lineNumber) => {
+            const text = this.cleanLine(line);
+            if (text) {
+                lines.push({ text, lineNumber });
+            }
+        });
+
+        return lines;
+    }
+
+    cleanLine(line) {
+        return line
+            .replace(/\([^)]*\)/g, '')
+            .replace(/;.*$/, '')
+            .replace(/[%\r]/g, '')
+            .trim();
+    }
+
+    /**
+     * Send queued lines while they fit in GRBL's receive buffer
+     */
+    fill() {
+        if (!this.transport || this.state === 'paused') return;
+
+        while (this.queue.length) {
+            const line = this.queue[0];
+            const length = line.text.length + 1;
+
+            if (length > RX_BUFFER_SIZE) {
+                this.queue.shift();
+                this.handleError(line, 11);
+                return;
+            }
+
+            if (this.bufferUsed + length > RX_BUFFER_SIZE) break;
+
+            this.queue.shift();
+            this.inFlight.push({ ...line, length });
+            this.bufferUsed += length;
+            if (line.lineNumber !== null) this.sentCount++;
+
+            this.write(line.text + '\n').catch(error => this.connectionLost(error));
+        }
+    }
+
+    getProgress() {
+        return {
+            sent: this.sentCount,
+            acknowledged: this.ackedCount,
+            total: this.total,
+            // Oldest line GRBL has not finished with yet
+            lineNumber: this.inFlight.find(line => line.lineNumber !== null)?.lineNumber ?? null
+        };
+    }
+
+    // ============================================
+    // Realtime Commands
+    // ============================================
+
+    /**
+     * Realtime bytes are fire-and-forget; a failed write means the connection is gone
+     */
+    realtime(command) {
+        if (!this.transport) return;
+        this.write(command).catch(error => this.connectionLost(error));
+    }
+
+    pause() {
+        this.realtime(REALTIME.feedHold);
+        if (this.state === 'streaming') this.setState('paused');
+    }
+
+    resume() {
+        this.realtime(REALTIME.cycleStart);
+        if (this.state === 'paused') {
+            this.setState('streaming');
+            this.fill();
+        }
+    }
+
+    /**
+     * Ctrl-X: GRBL flushes its buffers, so the queue is dropped too
+     */
+    softReset() {
+        this.realtime(REALTIME.softReset);
+        this.resetQueue();
+        if (this.state !== 'alarm') this.setState('idle');
+    }
+
+    /**
+     * Feed hold first so the machine decelerates, then reset to abandon the job
+     */
+    stop() {
+        this.queue = [];
+        this.realtime(REALTIME.feedHold);
+
+        return new Promise(resolve => setTimeout(() => {
+            if (this.transport) this.softReset();
+            resolve();
+        }, this.stopDelay));
+    }
+
+    requestStatus() {
+        return this.write(REALTIME.status);
+    }
+
+    /**
+     * Stop a jog in progress; GRBL flushes the jogs it has planned, so unsent ones go too
+     */
+    cancelJog() {
+        this.queue = this.queue.filter(line => !line.text.startsWith('$J='));
+        this.realtime(REALTIME.jogCancel);
+    }
+
+    // ============================================
+    // Machine Control
+    // ============================================
+
+    /**
+     * Relative jog in mm, e.g. jog({ x: 10 }, 3000) sends $J=G91 G21 X10 F3000
+     */
+    jog(distances, feed) {
+        if (this.isStreaming()) {
+            throw new Error('Cannot jog while a job is running');
+        }
+
+        const words = ['x', 'y', 'z']
+            .filter(axis => distances[axis])
+            .map(axis => `${axis.toUpperCase()}${Number(distances[axis].toFixed(3))}`);
+        if (!words.length) return;
+
+        this.send(`$J=G91 G21 ${words.join(' ')} F${Math.round(feed)}`);
+    }
+
+    home() {
+        this.send('$H');
+    }
+
+    unlock() {
+        this.send('$X');
+    }
+
+    /**
+     * Make the current position the work zero of the given axes in G54
+     */
+    setWorkZero(axes = ['x', 'y', 'z']) {
+        this.send(`G10 L20 P1 ${axes.map(axis => `${axis.toUpperCase()}0`).join(' ')}`);
+    }
+
+    /**
+     * Commands sent or queued that GRBL has not acknowledged yet
+     */
+    pendingCount() {
+        return this.queue.length + this.inFlight.length;
+    }
+
+    // ============================================
+    // Responses
+    // ============================================
+
+    receive(data) {
+        this.inputBuffer += data;
+
+        let index;
+        while ((index = this.inputBuffer.indexOf('\n')) >= 0) {
+            const line = this.inputBuffer.slice(0, index).trim();
+            this.inputBuffer = this.inputBuffer.slice(index + 1);
+            if (line) this.handleLine(line);
+        }
+    }
+
+    handleLine(line) {
+        if (line.startsWith('<') && line.endsWith('>')) {
+            this.onStatus(this.parseStatus(line));
+            return;
+        }
+
+        if (line === 'ok') {
+            const done = this.acknowledge();
+            if (done && done.lineNumber !== null) this.ackedCount++;
+            if (done && done.resolve) done.resolve(done.responses);
+            this.afterAcknowledge(done);
+            return;
+        }
+
+        const error = line.match(/^error:(\d+)/);
+        if (error) {
+            const done = this.acknowledge();
+            if (done && done.lineNumber !== null) this.ackedCount++;
+            const code = parseInt(error[1], 10);
+            if (done && done.reject) done.reject(new Error(`error:${code} - ${ERROR_MESSAGES[code] || 'Unknown error'}`));
+            this.handleError(done, code);
+            return;
+        }
+
+        const alarm = line.match(/^ALARM:(\d+)/);
+        if (alarm) {
+            // GRBL flushes its buffers when it raises an alarm
+            const code = parseInt(alarm[1], 10);
+            this.resetQueue();
+            this.setState('alarm');
+            this.onAlarm({ code, message: ALARM_MESSAGES[code] || 'Unknown alarm' });
+            return;
+        }
+
+        // Startup banner after a reset: GRBL has flushed everything
+        const banner = line.match(/^Grbl\s+(\S+)/);
+        if (banner) {
+            this.version = banner[1];
+            this.resetQueue();
+            if (this.bannerResolve) this.bannerResolve();
+            if (this.state !== 'disconnected' && this.state !== 'alarm') this.setState('idle');
+        }
+
+        // GRBL booted locked (lost position or homing required)
+        if (/'\$X' to unlock/.test(line)) {
+            this.setState('alarm');
+        }
+
+        // Replies arrive in order, so anything printed now answers the oldest command
+        const pending = this.inFlight[0];
+        if (pending && pending.responses) pending.responses.push(line);
+
+        this.onMessage(line);
+    }
+
+    acknowledge() {
+        const line = this.inFlight.shift();
+        if (!line) return null;
+
+        this.bufferUsed -= line.length;
+        if (line.lineNumber !== null) this.ackedLines.push(line);
+        return line;
+    }
+
+    afterAcknowledge(line) {
+        // Unlock and homing clear an alarm
+        if (this.state === 'alarm' && line && /^\$(X|H)$/i.test(line.text)) {
+            this.setState('idle');
+        }
+
+        if (this.isStreaming()) {
+            this.onProgress(this.getProgress());
+
+            if (this.ackedCount >= this.total && !this.queue.length) {
+                this.setState('idle');
+                this.onComplete({ errors: this.errors });
+                return;
+            }
+        }
+
+        this.fill();
+    }
+
+    /**
+     * Errors halt the job: lines already in GRBL's buffer still run, nothing more is sent
+     */
+    handleError(line, code) {
+        const error = {
+            code,
+            message: ERROR_MESSAGES[code] || 'Unknown error',
+            line: line ? line.text : null,
+            lineNumber: line ? line.lineNumber : null
+        };
+
+        this.errors.push(error);
+        this.onError(error);
+
+        if (this.isStreaming()) {
+            this.queue = [];
+            this.onProgress(this.getProgress());
+            this.setState('error');
+        }
+    }
+
+    // ============================================
+    // Status Reports
+    // ============================================
+
+    /**
+     * Parse a GRBL 1.1 report like <Run|MPos:1.000,2.000,0.000|FS:3000,0>
+     * Both machine and work positions are filled in from the last known WCO
+     */
+    parseStatus(line) {
+        const fields = line.slice(1, -1).split('|');
+        const [state, subState] = fields[0].split(':');
+        const status = {
+            state,
+            subState: subState !== undefined ? parseInt(subState, 10) : null,
+            machine: null,
+            work: null,
+            feed: 0,
+            spindle: 0,
+            plannerFree: null,
+            rxFree: null,
+            lineNumber: null
+        };
+
+        const toPoint = ([x = 0, y = 0, z = 0]) => ({ x, y, z });
+
+        for (const field of fields.slice(1)) {
+            const [key, value = ''] = field.split(':');
+            const numbers = value.split(',').map(Number);
+
+            switch (key) {
+                case 'MPos': status.machine = toPoint(numbers); break;
+                case 'WPos': status.work = toPoint(numbers); break;
+                case 'WCO': this.workOffset = toPoint(numbers); break;
+                case 'FS': [status.feed, status.spindle] = numbers; break;
+                case 'F': status.feed = numbers[0]; break;
+                case 'Bf': [status.plannerFree, status.rxFree] = numbers; break;
+                case 'Ln': status.lineNumber = numbers[0]; break;
+            }
+        }
+
+        const wco = this.workOffset;
+        if (status.machine && !status.work) {
+            status.work = { x: status.machine.x - wco.x, y: status.machine.y - wco.y, z: status.machine.z - wco.z };
+        } else if (status.work && !status.machine) {
+            status.machine = { x: status.work.x + wco.x, y: status.work.y + wco.y, z: status.work.z + wco.z };
+        }
+
+        if (status.plannerFree !== null) {
+            this.plannerCapacity = Math.max(this.plannerCapacity, status.plannerFree);
+        }
+
+        return status;
+    }
+
+    /**
+     * Best guess at the job line being executed, as { index, lineNumber }
+     * GRBL acknowledges lines when they enter its planner, so step back over
+     * the motion lines still queued there (the executing block included)
+     */
+    getExecutingLine(status) {
+        const acked = this.ackedLines;
+        if (!acked.length) return null;
+
+        let queued = status.plannerFree !== null && this.plannerCapacity
+            ? this.plannerCapacity - status.plannerFree
+            : 0;
+
+        if (queued <= 0) {
+            return { index: acked.length - 1, lineNumber: acked[acked.length - 1].lineNumber };
+        }
+
+        for (let i = acked.length - 1; i >= 0; i--) {
+            if (!/[XYZ]/i.test(acked[i].text)) continue;
+            if (--queued === 0) {
+                return { index: i, lineNumber: acked[i].lineNumber };
+            }
+        }
+
+        return { index: 0, lineNumber: acked[0].lineNumber };
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Job Frame - Pen-up dry run around the job's bounding box or convex hull
+ * Works on parsed toolpaths, so the frame matches the G-code the machine will run
+ */
+
+import { ArcFitter } from './arcFitter.js';
+
+export class JobFrame {
+    constructor(generator) {
+        this.generator = generator;
+        this.settings = generator.settings;
+    }
+
+    /**
+     * Closed outline (first point repeated last) around the draw moves, or null
+     * shape is 'box' for the bounding box or 'hull' for the convex hull
+     */
+    outline(toolpath, shape = 'box') {
+        const points = this.getDrawPoints(toolpath);
+        if (!points.length) return null;
+
+        const outline = shape === 'hull' ? this.convexHull(points) : this.boundingBox(points);
+        return [...outline, outline[0]];
+    }
+
+    /**
+     * Every point the pen touches, with arcs sampled so their bulge is included
+     */
+    getDrawPoints(toolpath) {
+        const points = [];
+
+        for (const move of toolpath) {
+            if (move.type !== 'draw') continue;
+
+            points.push(move.from);
+
+            if (move.arc) {
+                const { center, clockwise } = move.arc;
+                const sweep = ArcFitter.sweep(move.from, move.to, center, clockwise);
+                const steps = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 36)));
+                for (let i = 1; i < steps; i++) {
+                    points.push(ArcFitter.arcPoint(move.from, center, sweep, i / steps));
+                }
+            }
+
+            points.push(move.to);
+        }
+
+        return points;
+    }
+
+    /**
+     * One pass rather than spreading into Math.min, which overflows the stack on large jobs
+     */
+    getBounds(points) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const pt of points) {
+            bounds.minX = Math.min(bounds.minX, pt.x);
+            bounds.minY = Math.min(bounds.minY, pt.y);
+            bounds.maxX = Math.max(bounds.maxX, pt.x);
+            bounds.maxY = Math.max(bounds.maxY, pt.y);
+        }
+        return bounds;
+    }
+
+    /**
+     * Bounding box corners, counter-clockwise from the origin-side corner
+     */
+    boundingBox(points) {
+        const { minX, minY, maxX, maxY } = this.getBounds(points);
+
+        return [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY }
+        ];
+    }
+
+    /**
+     * Andrew's monotone chain; counter-clockwise, collinear points dropped
+     */
+    convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const half = (list) => {
+            const chain = [];
+            for (const pt of list) {
+                while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], pt) <= 0) {
+                    chain.pop();
+                }
+                chain.push(pt);
+            }
+            chain.pop();
+            return chain;
+        };
+
+        return [...half(sorted), ...half(sorted.reverse())];
+    }
+
+    /**
+     * Pen-up G-code that traces the outline and returns to X0 Y0,
+     * so a job that starts with G92 at the origin still lines up afterwards
+     */
+    toGcode(outline, shape = 'box') {
+        const format = (value) => this.generator.formatNumber(value);
+        const { minX, minY, maxX, maxY } = this.getBounds(outline);
+        const feed = this.settings.travelRate;
+
+        let gcode = `; Frame dry run (${shape === 'hull' ? 'convex hull' : 'bounding box'}), pen up\n`;
+        gcode += `; Size: ${format(maxX - minX)}mm × ${format(maxY - minY)}mm\n`;
+        gcode += 'G21 ; mm mode\n';
+        gcode += 'G90 ; absolute positioning\n';
+        gcode += this.generator.profile.penUp();
+
+        outline.forEach(pt => {
+            gcode += `G1 X${format(pt.x)} Y${format(pt.y)} F${feed}\n`;
+        });
+
+        gcode += `G0 X0 Y0 ; return home\n`;
+        return gcode;
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Job Placement - Position, rotate, scale and mirror the whole job on the bed
+ * Applied by the generator on top of each path's own transform, so the drawing is untouched
+ */
+
+export const DEFAULT_PLACEMENT = {
+    anchor: 'none',     // 'none' offsets the job as drawn; otherwise this bounding-box point goes to X/Y
+    x: 0,               // Machine mm: an offset, or where the anchor lands
+    y: 0,
+    rotation: 0,        // Degrees clockwise as seen in the editor, a multiple of 90
+    scale: 1,
+    mirror: false       // Flip left to right
+};
+
+// Bounding-box points, named for the bed as seen in the editor (front at the bottom)
+export const PLACEMENT_ANCHORS = {
+    'none': 'As drawn',
+    'front-left': 'Front left',
+    'front-center': 'Front centre',
+    'front-right': 'Front right',
+    'center-left': 'Centre left',
+    'center': 'Centre',
+    'center-right': 'Centre right',
+    'rear-left': 'Rear left',
+    'rear-center': 'Rear centre',
+    'rear-right': 'Rear right'
+};
+
+export class JobPlacement {
+    constructor(settings, coordinates) {
+        this.settings = settings;
+        this.coordinates = coordinates;
+    }
+
+    get placement() {
+        return { ...DEFAULT_PLACEMENT, ...this.settings.placement };
+    }
+
+    isIdentity() {
+        const { anchor, x, y, rotation, scale, mirror } = this.placement;
+        return anchor === 'none' && !x && !y && !(rotation % 360) && scale === 1 && !mirror;
+    }
+
+    /**
+     * Document-space matrix [a, b, c, d, e, f] for a job with the given document bounds
+     * Mirror, rotation and scale turn the job about its centre; then it is offset or anchored
+     */
+    getMatrix(bounds) {
+        const { anchor, x, y, rotation, scale, mirror } = this.placement;
+        const quarter = ((Math.round(rotation / 90) % 4) + 4) % 4;
+        const cos = [1, 0, -1, 0][quarter];
+        const sin = [0, 1, 0, -1][quarter];
+        const flip = mirror ? -1 : 1;
+
+        // Linear part: scale · rotate · mirror (Y down, so positive turns are clockwise on screen)
+        const a = scale * cos * flip;
+        const b = scale * sin * flip;
+        const c = -scale * sin;
+        const d = scale * cos;
+
+        const cx = (bounds.minX + bounds.maxX) / 2;
+        const cy = (bounds.minY + bounds.maxY) / 2;
+        const matrix = [a, b, c, d, cx - (a * cx + c * cy), cy - (b * cx + d * cy)];
+
+        const shift = this.getShift(this.transformBounds(bounds, matrix), anchor, x, y);
+        matrix[4] += shift.x;
+        matrix[5] += shift.y;
+        return matrix;
+    }
+
+    /**
+     * Document translation that puts the anchor on X/Y, or applies X/Y as a machine-axis offset
+     */
+    getShift(bounds, anchor, x, y) {
+        const target = this.coordinates.machineToDocument(x, y);
+
+        if (anchor === 'none' || !PLACEMENT_ANCHORS[anchor]) {
+            const zero = this.coordinates.machineToDocument(0, 0);
+            return { x: target.x - zero.x, y: target.y - zero.y };
+        }
+
+        const point = this.anchorPoint(bounds, anchor);
+        return { x: target.x - point.x, y: target.y - point.y };
+    }
+
+    /**
+     * Document position of a named bounding-box point
+     */
+    anchorPoint(bounds, anchor) {
+        const [row, column] = anchor === 'center' ? ['center', 'center'] : anchor.split('-');
+        const xs = { left: bounds.minX, center: (bounds.minX + bounds.maxX) / 2, right: bounds.maxX };
+        const ys = { rear: bounds.minY, center: (bounds.minY + bounds.maxY) / 2, front: bounds.maxY };
+
+        return { x: xs[column], y: ys[row] };
+    }
+
+    transformBounds(bounds, matrix) {
+        const corners = [
+            [bounds.minX, bounds.minY], [bounds.maxX, bounds.minY],
+            [bounds.maxX, bounds.maxY], [bounds.minX, bounds.maxY]
+        ].map(([x, y]) => ({
+            x: matrix[0] * x + matrix[2] * y + matrix[4],
+            y: matrix[1] * x + matrix[3] * y + matrix[5]
+        }));
+
+        return {
+            minX: Math.min(...corners.map(pt => pt.x)),
+            minY: Math.min(...corners.map(pt => pt.y)),
+            maxX: Math.max(...corners.map(pt => pt.x)),
+            maxY: Math.max(...corners.map(pt => pt.y))
+        };
+    }
+
+    /**
+     * One-line summary for the G-code header, or null when nothing is applied
+     */
+    describe() {
+        if (this.isIdentity()) return null;
+
+        const { anchor, x, y, rotation, scale, mirror } = this.placement;
+        const parts = [];
+
+        if (anchor === 'none') {
+            if (x || y) parts.push(`offset X${x} Y${y}`);
+        } else {
+            parts.push(`${PLACEMENT_ANCHORS[anchor].toLowerCase()} at X${x} Y${y}`);
+        }
+        if (rotation % 360) parts.push(`rotated ${rotation}°`);
+        if (scale !== 1) parts.push(`scaled ${Math.round(scale * 1000) / 10}%`);
+        if (mirror) parts.push('mirrored');
+
+        return parts.join(', ');
+    }
+}
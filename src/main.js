@@ -9,15 +9,65 @@ import { GcodeTerminal } from './gcodeTerminal.js';
 import { PreviewRenderer } from './preview.js';
 import { AITracer } from './aiTracer.js';
 import { Settings } from './settings.js';
+import { CoordinateSystem } from './coordinateSystem.js';
+import { SvgImporter } from './svgImporter.js';
+import { DxfImporter } from './dxfImporter.js';
+import { DxfExporter } from './dxfExporter.js';
+import { SvgExporter } from './svgExporter.js';
+import { ProjectFile, PROJECT_EXTENSION } from './projectFile.js';
+import { SessionStore } from './sessionStore.js';
+import { GrblStreamer } from './grblStreamer.js';
+import { SerialTransport } from './serialTransport.js';
+import { GrblSimulator } from './grblSimulator.js';
+import { GrblSettings, GRBL_SETTINGS } from './grblSettings.js';
+import { JobFrame } from './jobFrame.js';
+import { GcodeInterpreter } from './gcodeInterpreter.js';
+import { GcodeValidator } from './gcodeValidator.js';
+import { TimeEstimator } from './timeEstimator.js';
+import { OUTPUT_PROFILES } from './outputProfiles.js';
+import { DEFAULT_PLACEMENT } from './jobPlacement.js';
+import { Nester } from './nester.js';
 
 class VoidSatellite {
     constructor() {
         this.settings = new Settings();
+        this.coordinates = new CoordinateSystem(this.settings);
         this.vectorEditor = null;
         this.gcodeGenerator = null;
         this.gcodeTerminal = null;
         this.previewRenderer = null;
         this.aiTracer = null;
+        this.machine = null;
+        this.grblSettings = null;
+        this.job = null;
+        this.gcodeInterpreter = new GcodeInterpreter(this.settings);
+        this.gcodeValidator = new GcodeValidator(this.settings, this.coordinates);
+        this.problems = [];
+        this.sendAnyway = false;
+        this.timeEstimator = new TimeEstimator(this.settings);
+        this.estimate = null;
+        this.svgImporter = new SvgImporter();
+        this.dxfImporter = new DxfImporter();
+        this.dxfExporter = null;
+        this.svgExporter = null;
+        this.jobFrame = null;
+        this.nester = null;
+        this.nestParts = [];
+        this.nestResult = null;
+        this.frameShape = 'box';
+        this.frameGcode = null;
+        this.penDwellDraft = {};
+        this.editingProfile = null;
+        // Arrow or Page key whose jog is cancelled on release
+        this.jogKey = null;
+        this.projectFile = new ProjectFile();
+        this.sessionStore = new SessionStore();
+
+        // Autosave is debounced and held off until the restore prompt is answered
+        this.autosaveEnabled = false;
+        this.autosaveDelay = 1000;
+        this.autosaveTimer = null;
+        this.pendingSession = null;
 
         this.originalImage = null;
         this.currentPaths = [];
@@ -31,10 +81,16 @@ class VoidSatellite {
             onPathsChange: (paths) => this.onPathsChange(paths),
             onCursorMove: (x, y) => this.updateCursorPosition(x, y),
             onZoomChange: (zoom) => this.updateZoomDisplay(zoom),
-            settings: this.settings
+            onCalibrationPoints: (distance) => this.openCalibration(distance),
+            settings: this.settings,
+            coordinates: this.coordinates
         });
 
-        this.gcodeGenerator = new GcodeGenerator(this.settings);
+        this.gcodeGenerator = new GcodeGenerator(this.settings, this.coordinates);
+        this.dxfExporter = new DxfExporter(this.gcodeGenerator, this.coordinates);
+        this.svgExporter = new SvgExporter(this.gcodeGenerator, this.coordinates);
+        this.jobFrame = new JobFrame(this.gcodeGenerator);
+        this.nester = new Nester(this.gcodeGenerator);
 
         this.gcodeTerminal = new GcodeTerminal('gcodeEditor', {
             onChange: (gcode) => this.onGcodeChange(gcode)
@@ -43,11 +99,23 @@ class VoidSatellite {
         this.previewRenderer = new PreviewRenderer('previewCanvas', {
             rulerX: 'rulerX',
             rulerY: 'rulerY',
-            settings: this.settings
+            settings: this.settings,
+            coordinates: this.coordinates
         });
 
         this.aiTracer = new AITracer(this.settings);
 
+        this.machine = new GrblStreamer({
+            onStateChange: (state) => this.updateMachineState(state),
+            onProgress: (progress) => this.updateMachineProgress(progress),
+            onMessage: (line) => this.onMachineMessage(line),
+            onError: (error) => this.onMachineError(error),
+            onAlarm: (alarm) => this.onMachineAlarm(alarm),
+            onComplete: (result) => this.onMachineComplete(result),
+            onStatus: (status) => this.onMachineStatus(status)
+        });
+        this.grblSettings = new GrblSettings(this.machine);
+
         // Setup event listeners
         this.setupEventListeners();
 
@@ -57,6 +125,9 @@ class VoidSatellite {
         // Draw initial grid
         this.previewRenderer.drawGrid();
 
+        // Offer the autosaved session from last time
+        this.checkPreviousSession();
+
         console.log('Void-Satellite initialized');
     }
 
@@ -77,18 +148,20 @@ class VoidSatellite {
             e.preventDefault();
             uploadArea.classList.remove('dragover');
             if (e.dataTransfer.files.length) {
-                this.loadImage(e.dataTransfer.files[0]);
+                this.loadFiles(e.dataTransfer.files);
             }
         });
         fileInput.addEventListener('change', (e) => {
             if (e.target.files.length) {
-                this.loadImage(e.target.files[0]);
+                this.loadFiles(e.target.files);
             }
+            fileInput.value = '';
         });
 
         // Image opacity
         document.getElementById('imageOpacity').addEventListener('input', (e) => {
             this.vectorEditor.setBackgroundOpacity(e.target.value / 100);
+            this.scheduleAutosave();
         });
 
         // Buttons
@@ -97,6 +170,130 @@ class VoidSatellite {
         document.getElementById('regenerateBtn').addEventListener('click', () => this.regenerateGcode());
         document.getElementById('copyGcode').addEventListener('click', () => this.copyGcode());
         document.getElementById('downloadGcode').addEventListener('click', () => this.downloadGcode());
+        document.getElementById('nestBtn').addEventListener('click', () => this.openNest());
+        document.getElementById('exportDxf').addEventListener('click', () => this.exportDxf());
+        document.getElementById('exportSvg').addEventListener('click', () => this.exportSvg());
+
+        // Project files
+        const projectInput = document.getElementById('projectInput');
+        document.getElementById('saveProjectBtn').addEventListener('click', () => this.saveProject());
+        document.getElementById('openProjectBtn').addEventListener('click', () => projectInput.click());
+        projectInput.addEventListener('change', (e) => {
+            if (e.target.files.length) {
+                this.openProject(e.target.files[0]);
+            }
+            projectInput.value = '';
+        });
+
+        // Machine streaming
+        document.getElementById('connectBtn').addEventListener('click', () => this.toggleMachineConnection());
+        document.getElementById('sendBtn').addEventListener('click', () => this.sendToMachine());
+        document.getElementById('pauseBtn').addEventListener('click', () => this.machine.pause());
+        document.getElementById('resumeBtn').addEventListener('click', () => this.machine.resume());
+        document.getElementById('stopBtn').addEventListener('click', () => this.machine.stop());
+        document.getElementById('resetBtn').addEventListener('click', () => this.machine.softReset());
+
+        // Machine control panel
+        document.getElementById('jogPanelBtn').addEventListener('click', () => this.toggleJogPanel());
+        document.querySelectorAll('#jogPanel [data-jog]').forEach(btn => {
+            btn.addEventListener('click', () => this.jog(btn.dataset.jog, parseInt(btn.dataset.dir, 10)));
+        });
+        document.querySelectorAll('#jogSteps [data-step]').forEach(btn => {
+            btn.addEventListener('click', () => this.setJogStep('jogStep', parseFloat(btn.dataset.step)));
+        });
+        document.querySelectorAll('#jogStepsZ [data-step]').forEach(btn => {
+            btn.addEventListener('click', () => this.setJogStep('jogStepZ', parseFloat(btn.dataset.step)));
+        });
+        document.getElementById('jogFeed').addEventListener('change', (e) => {
+            const feed = parseFloat(e.target.value);
+            if (feed > 0) this.settings.update({ jogFeed: feed });
+            this.updateJogPanel();
+        });
+        document.getElementById('homeBtn').addEventListener('click', () => this.machineCommand(() => this.machine.home()));
+        document.getElementById('zeroXyBtn').addEventListener('click', () => this.machineCommand(() => this.machine.setWorkZero(['x', 'y'])));
+        document.getElementById('zeroZBtn').addEventListener('click', () => this.machineCommand(() => this.machine.setWorkZero(['z'])));
+        document.getElementById('unlockBtn').addEventListener('click', () => this.machineCommand(() => this.machine.unlock()));
+
+        // Validation problems
+        document.getElementById('problemSummary').addEventListener('click', () => {
+            document.getElementById('problemList').classList.toggle('hidden');
+        });
+
+        // Time estimate
+        document.getElementById('estimatedTime').addEventListener('click', () => this.toggleEstimatePanel());
+
+        // Job placement
+        document.getElementById('placementBtn').addEventListener('click', () => this.togglePlacementPanel());
+        document.getElementById('placementAnchor').addEventListener('change', (e) => this.updatePlacement({ anchor: e.target.value }));
+        ['x', 'y'].forEach(axis => {
+            document.getElementById(`placement${axis.toUpperCase()}`).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) this.updatePlacement({ [axis]: value });
+            });
+        });
+        document.querySelectorAll('#placementRotations [data-rotation]').forEach(btn => {
+            btn.addEventListener('click', () => this.updatePlacement({ rotation: parseInt(btn.dataset.rotation, 10) }));
+        });
+        document.getElementById('placementScale').addEventListener('change', (e) => {
+            const percent = parseFloat(e.target.value);
+            if (percent > 0) this.updatePlacement({ scale: percent / 100 });
+        });
+        document.getElementById('placementMirror').addEventListener('change', (e) => this.updatePlacement({ mirror: e.target.checked }));
+        document.getElementById('resetPlacementBtn').addEventListener('click', () => {
+            this.settings.update({ placement: { ...DEFAULT_PLACEMENT } });
+            this.regenerateGcode();
+        });
+
+        // Frame dry run
+        document.getElementById('frameBtn').addEventListener('click', () => this.toggleFramePanel());
+        document.querySelectorAll('#frameShapes [data-shape]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.frameShape = btn.dataset.shape;
+                this.updateFrame();
+            });
+        });
+        document.getElementById('sendFrameBtn').addEventListener('click', () => this.sendFrame());
+        document.getElementById('downloadFrameBtn').addEventListener('click', () => this.downloadFrame());
+
+        // Nesting modal
+        document.querySelector('#nestModal .modal-close').addEventListener('click', () => this.closeNest());
+        document.querySelector('#nestModal .modal-backdrop').addEventListener('click', () => this.closeNest());
+        document.getElementById('runNestBtn').addEventListener('click', () => this.runNest());
+        document.getElementById('downloadSheetsBtn').addEventListener('click', () => this.downloadAllSheets());
+        document.getElementById('nestCopiesAll').addEventListener('change', (e) => {
+            const copies = Math.max(0, parseInt(e.target.value, 10) || 0);
+            document.querySelectorAll('#nestParts [data-part]').forEach(input => input.value = copies);
+        });
+        document.getElementById('nestSheets').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-sheet]');
+            if (!btn) return;
+            const index = parseInt(btn.dataset.sheet, 10);
+            if (btn.dataset.action === 'show') this.showSheet(index);
+            else this.downloadSheet(index);
+        });
+
+        // GRBL settings modal
+        const grblRestoreInput = document.getElementById('grblRestoreInput');
+        document.getElementById('grblSettingsBtn').addEventListener('click', () => this.openGrblSettings());
+        document.querySelector('#grblModal .modal-close').addEventListener('click', () => this.closeGrblSettings());
+        document.querySelector('#grblModal .modal-backdrop').addEventListener('click', () => this.closeGrblSettings());
+        document.getElementById('readGrblBtn').addEventListener('click', () => this.readGrblSettings());
+        document.getElementById('backupGrblBtn').addEventListener('click', () => this.backupGrblSettings());
+        document.getElementById('restoreGrblBtn').addEventListener('click', () => grblRestoreInput.click());
+        document.getElementById('writeGrblBtn').addEventListener('click', () => this.writeGrblSettings());
+        grblRestoreInput.addEventListener('change', (e) => {
+            if (e.target.files.length) {
+                this.restoreGrblSettings(e.target.files[0]);
+            }
+            grblRestoreInput.value = '';
+        });
+
+        // Restore prompt and recent projects
+        document.getElementById('recentBtn').addEventListener('click', () => this.openProjects());
+        document.querySelector('#projectsModal .modal-close').addEventListener('click', () => this.closeProjects());
+        document.querySelector('#projectsModal .modal-backdrop').addEventListener('click', () => this.closeProjects());
+        document.getElementById('restoreSessionBtn').addEventListener('click', () => this.restoreSession());
+        document.getElementById('discardSessionBtn').addEventListener('click', () => this.discardSession());
 
         // Toolbar
         document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
@@ -122,12 +319,19 @@ class VoidSatellite {
         document.querySelector('.modal-close').addEventListener('click', () => this.closeSettings());
         document.querySelector('.modal-backdrop').addEventListener('click', () => this.closeSettings());
         document.getElementById('saveSettings').addEventListener('click', () => this.saveSettings());
+        document.getElementById('outputProfile').addEventListener('change', (e) => this.selectOutputProfile(e.target.value));
+
+        // Scale calibration modal
+        document.querySelector('#calibrateModal .modal-close').addEventListener('click', () => this.closeCalibration());
+        document.querySelector('#calibrateModal .modal-backdrop').addEventListener('click', () => this.closeCalibration());
+        document.getElementById('applyCalibration').addEventListener('click', () => this.applyCalibration());
 
         // Theme toggle
         document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        document.addEventListener('keyup', (e) => this.handleJogKeyUp(e));
 
         // ============================================
         // Zoom Controls
@@ -196,28 +400,264 @@ class VoidSatellite {
         }, 500);
     }
 
+    /**
+     * Route dropped or picked files: projects open, SVG/DXF import as vectors,
+     * rasters load for tracing
+     */
+    loadFiles(files) {
+        for (const file of Array.from(files)) {
+            if (/\.json$/i.test(file.name)) {
+                this.openProject(file);
+            } else if (file.type === 'image/svg+xml' || /\.svg$/i.test(file.name)) {
+                this.importSvg(file);
+            } else if (/\.dxf$/i.test(file.name)) {
+                this.importDxf(file);
+            } else if (file.type.startsWith('image/')) {
+                this.loadImage(file);
+            }
+        }
+    }
+
+    async importSvg(file) {
+        try {
+            const svg = this.svgImporter.parse(await file.text());
+            this.vectorEditor.importPaths(svg.shapes);
+            document.getElementById('clearBtn').disabled = false;
+            this.setEditorStatus(`Imported ${file.name}`);
+        } catch (error) {
+            console.error(`SVG import failed for ${file.name}:`, error);
+            this.setEditorStatus(`Could not import ${file.name}: ${error.message}`, true);
+        }
+    }
+
+    async importDxf(file) {
+        try {
+            const dxf = this.dxfImporter.parse(await file.text(), this.coordinates.bedHeight);
+            if (!dxf.shapes.length) {
+                throw new Error('No supported entities found');
+            }
+            this.vectorEditor.importPaths(dxf.shapes);
+            document.getElementById('clearBtn').disabled = false;
+            this.setEditorStatus(`Imported ${file.name}`);
+        } catch (error) {
+            console.error(`DXF import failed for ${file.name}:`, error);
+            this.setEditorStatus(`Could not import ${file.name}: ${error.message}`, true);
+        }
+    }
+
     loadImage(file) {
         const reader = new FileReader();
         reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                this.originalImage = img;
+            this.showOriginalImage(e.target.result, async (img) => {
+                // Set as background in editor
+                await this.vectorEditor.setBackgroundImage(e.target.result, img.width, img.height);
+                this.scheduleAutosave();
+            });
+        };
+        reader.readAsDataURL(file);
+    }
 
-                // Show preview
-                document.getElementById('uploadArea').classList.add('hidden');
-                document.getElementById('imagePreview').classList.remove('hidden');
-                document.getElementById('originalImage').src = e.target.result;
+    /**
+     * Show an image in the original panel and keep it for tracing
+     */
+    showOriginalImage(src, onLoad = () => { }) {
+        const img = new Image();
+        img.onload = () => {
+            this.originalImage = img;
 
-                // Enable buttons
-                document.getElementById('traceBtn').disabled = false;
-                document.getElementById('clearBtn').disabled = false;
+            // Show preview
+            document.getElementById('uploadArea').classList.add('hidden');
+            document.getElementById('imagePreview').classList.remove('hidden');
+            document.getElementById('originalImage').src = src;
 
-                // Set as background in editor
-                this.vectorEditor.setBackgroundImage(e.target.result, img.width, img.height);
-            };
-            img.src = e.target.result;
+            // Enable buttons
+            document.getElementById('traceBtn').disabled = false;
+            document.getElementById('clearBtn').disabled = false;
+
+            onLoad(img);
         };
-        reader.readAsDataURL(file);
+        img.src = src;
+    }
+
+    // ============================================
+    // Project Files
+    // ============================================
+
+    createProject() {
+        return this.projectFile.create({
+            document: this.vectorEditor.getDocument(),
+            settings: this.settings.toJSON(),
+            gcode: this.gcodeTerminal.getContent()
+        });
+    }
+
+    saveProject() {
+        const project = this.createProject();
+        const filename = `void-satellite-${Date.now()}${PROJECT_EXTENSION}`;
+
+        this.downloadFile(this.projectFile.stringify(project), filename, 'application/json');
+        this.rememberProject(filename, project);
+    }
+
+    async openProject(file) {
+        try {
+            const project = this.projectFile.parse(await file.text());
+            await this.loadProject(project);
+            this.rememberProject(file.name, project);
+        } catch (error) {
+            console.error(`Could not open project ${file.name}:`, error);
+        }
+    }
+
+    /**
+     * Replace the working document with a parsed (current-version) project
+     */
+    async loadProject(project) {
+        this.settings.update(project.settings);
+        this.applySettings();
+
+        this.clearAll();
+        await this.vectorEditor.loadDocument(project.document);
+
+        const background = project.document.background;
+        if (background) {
+            this.showOriginalImage(background.src);
+            document.getElementById('imageOpacity').value = Math.round(background.opacity * 100);
+        }
+        document.getElementById('clearBtn').disabled = false;
+
+        // Loading regenerated G-code from the paths; restore the saved edits over it
+        if (project.gcode !== null) {
+            this.gcodeGenerator.travel = null;
+            this.gcodeTerminal.setContent(project.gcode);
+            this.updatePreview(project.gcode);
+        }
+
+        this.scheduleAutosave();
+    }
+
+    // ============================================
+    // Autosave & Recent Projects
+    // ============================================
+
+    /**
+     * Offer to restore the autosaved session. Autosave stays off until the
+     * prompt is answered so the empty startup document cannot overwrite it
+     */
+    async checkPreviousSession() {
+        let session;
+        try {
+            session = await this.sessionStore.loadSession();
+        } catch (error) {
+            console.error('Session storage unavailable:', error);
+            return;
+        }
+
+        const doc = session?.project?.document;
+        if (doc && (doc.background || doc.objects?.length)) {
+            this.pendingSession = session;
+            document.getElementById('sessionSavedAt').textContent = new Date(session.savedAt).toLocaleString();
+            document.getElementById('restoreSession').classList.remove('hidden');
+            await this.openProjects();
+        } else {
+            this.autosaveEnabled = true;
+        }
+    }
+
+    async restoreSession() {
+        const session = this.pendingSession;
+        this.closeProjects();
+        if (!session) return;
+
+        try {
+            await this.loadProject(this.projectFile.migrate(session.project));
+        } catch (error) {
+            console.error('Could not restore previous session:', error);
+        }
+    }
+
+    async discardSession() {
+        this.closeProjects();
+        try {
+            await this.sessionStore.clearSession();
+        } catch (error) {
+            console.error('Could not clear previous session:', error);
+        }
+    }
+
+    scheduleAutosave() {
+        if (!this.autosaveEnabled) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), this.autosaveDelay);
+    }
+
+    async autosave() {
+        try {
+            await this.sessionStore.saveSession(this.createProject());
+        } catch (error) {
+            console.error('Autosave failed:', error);
+        }
+    }
+
+    async rememberProject(name, project) {
+        try {
+            await this.sessionStore.addRecent(name, project);
+        } catch (error) {
+            console.error('Could not update recent projects:', error);
+        }
+    }
+
+    async openProjects() {
+        const list = document.getElementById('recentProjects');
+        list.innerHTML = '';
+
+        let recent = [];
+        try {
+            recent = await this.sessionStore.listRecent();
+        } catch (error) {
+            console.error('Could not list recent projects:', error);
+        }
+
+        if (!recent.length) {
+            list.innerHTML = '<li class="status-text">No recent projects</li>';
+        }
+
+        recent.forEach(entry => {
+            const item = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.className = 'recent-project';
+            btn.innerHTML = '<span class="recent-name"></span><span class="recent-date"></span>';
+            btn.querySelector('.recent-name').textContent = entry.name;
+            btn.querySelector('.recent-date').textContent = new Date(entry.savedAt).toLocaleString();
+            btn.addEventListener('click', () => this.openRecent(entry.id));
+            item.appendChild(btn);
+            list.appendChild(item);
+        });
+
+        document.getElementById('projectsModal').classList.remove('hidden');
+    }
+
+    /**
+     * Closing the prompt without restoring starts a fresh session
+     */
+    closeProjects() {
+        document.getElementById('projectsModal').classList.add('hidden');
+        document.getElementById('restoreSession').classList.add('hidden');
+        this.pendingSession = null;
+        this.autosaveEnabled = true;
+    }
+
+    async openRecent(id) {
+        this.closeProjects();
+        try {
+            const project = await this.sessionStore.loadRecent(id);
+            if (project) {
+                await this.loadProject(this.projectFile.migrate(project));
+            }
+        } catch (error) {
+            console.error('Could not open recent project:', error);
+        }
     }
 
     async traceImage() {
@@ -229,12 +669,12 @@ class VoidSatellite {
 
         try {
             const paths = await this.aiTracer.trace(this.originalImage);
-            this.vectorEditor.addPaths(paths);
+            this.vectorEditor.addImagePaths(paths);
         } catch (error) {
             console.error('Trace failed:', error);
             // Fallback to client-side edge detection
             const paths = this.aiTracer.clientSideTrace(this.originalImage);
-            this.vectorEditor.addPaths(paths);
+            this.vectorEditor.addImagePaths(paths);
         }
 
         traceBtn.disabled = false;
@@ -274,48 +714,196 @@ class VoidSatellite {
 
         // Regenerate G-code
         this.regenerateGcode();
+        this.scheduleAutosave();
     }
 
     regenerateGcode() {
         const gcode = this.gcodeGenerator.generate(this.currentPaths);
         this.gcodeTerminal.setContent(gcode);
         this.updatePreview(gcode);
-        this.updateEstimatedTime();
+
+        if (this.isPlacementPanelOpen()) {
+            this.renderPlacement();
+        }
     }
 
     onGcodeChange(gcode) {
-        // User edited G-code directly, update preview
+        // User edited G-code directly, update preview; the generator's travel figures no longer apply
+        this.gcodeGenerator.travel = null;
         this.updatePreview(gcode);
+        this.scheduleAutosave();
     }
 
+    /**
+     * Interpret the program once and feed the preview, validation, estimate and frame
+     */
     updatePreview(gcode) {
-        const toolpath = this.gcodeGenerator.parseGcode(gcode);
+        const program = this.gcodeInterpreter.interpret(gcode);
+        const toolpath = this.gcodeInterpreter.toolpath(program);
+
         this.previewRenderer.drawToolpath(toolpath);
+        this.validateGcode(program);
+        this.updateEstimatedTime(program, gcode);
+
+        if (this.isFramePanelOpen()) {
+            this.updateFrame(toolpath);
+        }
+    }
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    /**
+     * Check the program against the bed and machine limits; problems go to the
+     * list under the terminal, the terminal gutter and the preview
+     */
+    validateGcode(program) {
+        this.problems = this.gcodeValidator.validate(program);
+        this.sendAnyway = false;
+        this.gcodeTerminal.setProblems(this.problems);
+        this.previewRenderer.setProblems(this.problems);
+        this.renderProblems();
+    }
+
+    renderProblems() {
+        const panel = document.getElementById('problemPanel');
+        const summary = document.getElementById('problemSummary');
+        const list = document.getElementById('problemList');
+
+        panel.classList.toggle('hidden', !this.problems.length);
+        list.innerHTML = '';
+        if (!this.problems.length) return;
+
+        const errors = this.problems.filter(problem => problem.severity === 'error').length;
+        const warnings = this.problems.length - errors;
+        const counts = [];
+        if (errors) counts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+        if (warnings) counts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+        summary.textContent = `⚠ ${counts.join(', ')}`;
+        summary.className = `problem-summary ${errors ? 'error' : 'warning'}`;
+
+        // A long list of off-bed moves is one problem repeated; keep the DOM small
+        const shown = this.problems.slice(0, 200);
+        shown.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = problem.severity;
+
+            const btn = document.createElement('button');
+            btn.innerHTML = '<span class="problem-line"></span><span class="problem-message"></span>';
+            btn.querySelector('.problem-line').textContent = `Line ${problem.line + 1}`;
+            btn.querySelector('.problem-message').textContent = problem.message;
+            btn.addEventListener('click', () => {
+                this.gcodeTerminal.highlightLine(problem.line);
+                this.previewRenderer.selectProblem(problem);
+            });
+
+            item.appendChild(btn);
+            list.appendChild(item);
+        });
+
+        if (this.problems.length > shown.length) {
+            const more = document.createElement('li');
+            more.className = 'status-text';
+            more.textContent = `...and ${this.problems.length - shown.length} more`;
+            list.appendChild(more);
+        }
     }
 
     updateCursorPosition(x, y) {
-        const mmX = (x * this.settings.bedWidth / this.vectorEditor.canvasWidth).toFixed(1);
-        const mmY = (y * this.settings.bedHeight / this.vectorEditor.canvasHeight).toFixed(1);
+        // Editor coordinates are document mm; show them as the machine will see them
+        const pt = this.coordinates.documentToMachine(x, y);
+        const mmX = pt.x.toFixed(1);
+        const mmY = pt.y.toFixed(1);
         document.getElementById('cursorPosition').textContent = `X: ${mmX}mm Y: ${mmY}mm`;
     }
 
-    updateEstimatedTime() {
-        // Rough estimate based on path length and feed rate
-        const totalLength = this.gcodeGenerator.getEstimatedLength(this.currentPaths);
-        const timeMinutes = totalLength / this.settings.feedRate;
-        const minutes = Math.floor(timeMinutes);
-        const seconds = Math.floor((timeMinutes - minutes) * 60);
-        document.getElementById('estimatedTime').textContent = `Est: ${minutes}m ${seconds}s`;
+    // ============================================
+    // Time Estimate
+    // ============================================
+
+    /**
+     * Planner estimate of the program in the terminal, so manual edits count too
+     */
+    updateEstimatedTime(program, gcode) {
+        this.estimate = this.timeEstimator.estimate(program, gcode);
+        document.getElementById('estimatedTime').textContent =
+            `Est: ${this.formatDuration(this.estimate.total * 1000)}`;
+
+        if (this.isEstimatePanelOpen()) {
+            this.renderEstimate();
+        }
+    }
+
+    toggleEstimatePanel(show) {
+        const panel = document.getElementById('estimatePanel');
+        const visible = show ?? panel.classList.contains('hidden');
+
+        panel.classList.toggle('hidden', !visible);
+        document.getElementById('estimatedTime').classList.toggle('active', visible);
+        if (visible) this.renderEstimate();
+    }
+
+    isEstimatePanelOpen() {
+        return !document.getElementById('estimatePanel').classList.contains('hidden');
+    }
+
+    /**
+     * Drawing, travel and pen totals, then one row per path that jumps to its G-code
+     */
+    renderEstimate() {
+        const estimate = this.estimate;
+        const list = document.getElementById('estimatePaths');
+        list.innerHTML = '';
+        if (!estimate) return;
+
+        const format = (seconds) => this.formatDuration(seconds * 1000);
+        document.getElementById('estimateTotal').textContent = format(estimate.total);
+        document.getElementById('estimateBreakdown').textContent =
+            `Drawing ${format(estimate.drawing)} · Travel ${format(estimate.travel)} · Pen ${format(estimate.pen)}`;
+
+        // Travel distance and what ordering saved, while the terminal holds generated G-code
+        document.getElementById('estimateTravel').textContent = this.gcodeGenerator.travel
+            ? `Travel ${this.gcodeGenerator.describeTravel()}`
+            : '';
+
+        if (!estimate.paths.length) {
+            const empty = document.createElement('li');
+            empty.className = 'status-text';
+            empty.textContent = 'No paths';
+            list.appendChild(empty);
+            return;
+        }
+
+        // Thousands of paths are possible; keep the DOM small
+        const shown = estimate.paths.slice(0, 200);
+        shown.forEach(path => {
+            const item = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.innerHTML = '<span class="estimate-name"></span><span class="estimate-time"></span>';
+            btn.querySelector('.estimate-name').textContent = path.name;
+            btn.querySelector('.estimate-time').textContent = format(path.seconds);
+            btn.addEventListener('click', () => this.gcodeTerminal.highlightLine(path.line));
+
+            item.appendChild(btn);
+            list.appendChild(item);
+        });
+
+        if (estimate.paths.length > shown.length) {
+            const more = document.createElement('li');
+            more.className = 'status-text';
+            more.textContent = `...and ${estimate.paths.length - shown.length} more`;
+            list.appendChild(more);
+        }
     }
 
     async playSimulation() {
         const btn = document.getElementById('playSimulation');
         btn.disabled = true;
 
-        const gcode = this.gcodeTerminal.getContent();
-        const toolpath = this.gcodeGenerator.parseGcode(gcode);
-
-        await this.previewRenderer.animate(toolpath);
+        const program = this.gcodeInterpreter.interpret(this.gcodeTerminal.getContent());
+        await this.previewRenderer.animate(this.gcodeInterpreter.toolpath(program));
 
         btn.disabled = false;
     }
@@ -331,16 +919,745 @@ class VoidSatellite {
     }
 
     downloadGcode() {
-        const gcode = this.gcodeTerminal.getContent();
-        const blob = new Blob([gcode], { type: 'text/plain' });
+        this.downloadFile(this.gcodeTerminal.getContent(), `void-satellite-${Date.now()}.gcode`);
+    }
+
+    exportDxf() {
+        const dxf = this.dxfExporter.export(this.vectorEditor.getPaths());
+        this.downloadFile(dxf, `void-satellite-${Date.now()}.dxf`, 'application/dxf');
+    }
+
+    exportSvg() {
+        const svg = this.svgExporter.export(this.vectorEditor.getPaths());
+        this.downloadFile(svg, `void-satellite-${Date.now()}.svg`, 'image/svg+xml');
+    }
+
+    downloadFile(content, filename, type = 'text/plain') {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `void-satellite-${Date.now()}.gcode`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
 
+    // ============================================
+    // Machine Streaming
+    // ============================================
+
+    async toggleMachineConnection() {
+        if (this.machine.isConnected()) {
+            await this.machine.disconnect();
+            return;
+        }
+
+        const transport = this.settings.simulateMachine
+            ? new GrblSimulator(this.settings, { coordinates: this.coordinates })
+            : new SerialTransport(this.settings.baudRate);
+
+        this.setMachineStatus('Connecting...');
+        try {
+            await this.machine.connect(transport);
+            this.previewRenderer.watchMachine(this.machine);
+        } catch (error) {
+            console.error('Machine connection failed:', error);
+            this.setMachineStatus(`Connection failed: ${error.message}`, true);
+        }
+    }
+
+    sendToMachine() {
+        // Errors need a second click, so off-bed moves are never sent by accident
+        const errors = this.problems.filter(problem => problem.severity === 'error').length;
+        if (errors && !this.sendAnyway) {
+            this.sendAnyway = true;
+            document.getElementById('problemList').classList.remove('hidden');
+            this.setMachineStatus(`${errors} G-code error${errors === 1 ? '' : 's'} - press Send again to run anyway`, true);
+            return;
+        }
+        this.sendAnyway = false;
+
+        try {
+            this.machine.stream(this.gcodeTerminal.getContent());
+            this.job = { finishedAt: null };
+        } catch (error) {
+            this.setMachineStatus(error.message, true);
+        }
+    }
+
+    updateMachineState(state) {
+        const connected = state !== 'disconnected';
+
+        if (!connected) {
+            this.previewRenderer.unwatchMachine();
+            this.endJob();
+            this.toggleJogPanel(false);
+            this.closeGrblSettings();
+        }
+        const streaming = state === 'streaming' || state === 'paused';
+
+        document.getElementById('jogPanelBtn').disabled = !connected;
+        document.getElementById('grblSettingsBtn').disabled = !connected || streaming;
+        document.getElementById('sendFrameBtn').disabled = !connected || streaming || state === 'alarm';
+        document.querySelectorAll('#jogPanel .jog-pads button, #jogPanel .jog-actions button').forEach(btn => {
+            btn.disabled = streaming;
+        });
+
+        document.getElementById('connectBtn').textContent = connected ? 'Disconnect' : 'Connect';
+        document.getElementById('sendBtn').disabled = !connected || streaming || state === 'alarm';
+        document.getElementById('pauseBtn').disabled = !connected;
+        document.getElementById('resumeBtn').disabled = !connected;
+        document.getElementById('stopBtn').disabled = !streaming;
+        document.getElementById('resetBtn').disabled = !connected;
+
+        // Alarms and errors keep the message their handler showed
+        const labels = {
+            disconnected: 'Disconnected',
+            idle: this.machine.version ? `Connected (Grbl ${this.machine.version})` : 'Connected',
+            streaming: 'Streaming...',
+            paused: 'Paused'
+        };
+        if (labels[state]) {
+            this.setMachineStatus(labels[state]);
+        }
+    }
+
+    updateMachineProgress({ acknowledged, total }) {
+        if (this.machine.state === 'streaming') {
+            this.setMachineStatus(`Streaming ${acknowledged}/${total}`);
+        }
+    }
+
+    onMachineMessage(line) {
+        if (line.startsWith('[MSG:')) {
+            this.setMachineStatus(line.slice(5, -1));
+        }
+    }
+
+    onMachineError({ code, message, lineNumber }) {
+        // Transport failures carry no GRBL error code
+        if (code === null) {
+            this.setMachineStatus(message, true);
+            return;
+        }
+
+        const where = lineNumber !== null ? ` on line ${lineNumber + 1}` : '';
+        this.setMachineStatus(`error:${code}${where} - ${message}`, true);
+        // Line numbers only point into the terminal for a job, not a frame run
+        if (lineNumber !== null && this.job) {
+            this.gcodeTerminal.highlightLine(lineNumber);
+        }
+    }
+
+    onMachineAlarm({ code, message }) {
+        this.setMachineStatus(`ALARM:${code} - ${message}`, true);
+    }
+
+    onMachineComplete({ errors }) {
+        this.setMachineStatus(errors.length ? `Job sent with ${errors.length} errors` : 'Job sent');
+    }
+
+    /**
+     * Live position on the preview; while a job runs, follow its line in the terminal
+     */
+    onMachineStatus(status) {
+        if (!status.work) return;
+
+        this.previewRenderer.setMachinePosition(status.work, this.gcodeInterpreter.isPenDown({ z: status.work.z, spindle: status.spindle }));
+        this.updateJogPosition(status.work);
+
+        const job = this.job;
+        const startedAt = this.machine.jobStartedAt;
+        if (!job || job.finishedAt) return;
+
+        // Stopped or reset: the streamer has dropped the job
+        if (!startedAt) {
+            this.endJob();
+            return;
+        }
+
+        const done = this.machine.total > 0 &&
+            this.machine.ackedCount >= this.machine.total &&
+            status.state === 'Idle';
+
+        const executing = this.machine.getExecutingLine(status);
+        if (executing && !done) {
+            this.gcodeTerminal.setActiveLine(executing.lineNumber);
+        }
+
+        const elapsed = Date.now() - startedAt;
+        const progress = done ? 1 : (executing ? executing.index / this.machine.total : 0);
+        const remaining = progress > 0 ? elapsed * (1 - progress) / progress : null;
+
+        const info = document.getElementById('jobProgress');
+        info.classList.remove('hidden');
+        info.textContent = done
+            ? `Done in ${this.formatDuration(elapsed)}`
+            : `${Math.round(progress * 100)}% · ${this.formatDuration(elapsed)} elapsed · ` +
+            `${remaining === null ? '--' : this.formatDuration(remaining)} left`;
+
+        if (done) {
+            job.finishedAt = Date.now();
+            this.gcodeTerminal.setActiveLine(null);
+        }
+    }
+
+    endJob() {
+        this.job = null;
+        this.gcodeTerminal.setActiveLine(null);
+        document.getElementById('jobProgress').classList.add('hidden');
+    }
+
+    formatDuration(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    setEditorStatus(text, isError = false) {
+        const status = document.getElementById('editorStatus');
+        status.textContent = text;
+        status.title = text;
+        status.classList.toggle('error', isError);
+    }
+
+    setMachineStatus(text, isError = false) {
+        const status = document.getElementById('machineStatus');
+        status.textContent = text;
+        status.title = text;
+        status.classList.toggle('error', isError);
+    }
+
+    // ============================================
+    // Machine Control
+    // ============================================
+
+    toggleJogPanel(show) {
+        const panel = document.getElementById('jogPanel');
+        const visible = show ?? panel.classList.contains('hidden');
+
+        panel.classList.toggle('hidden', !visible);
+        document.getElementById('jogPanelBtn').classList.toggle('active', visible);
+        if (visible) this.updateJogPanel();
+    }
+
+    isJogPanelOpen() {
+        return !document.getElementById('jogPanel').classList.contains('hidden');
+    }
+
+    /**
+     * Highlight the selected step sizes, show the jog feed and label the pad for the orientation
+     */
+    updateJogPanel() {
+        const mark = (groupId, value) => {
+            document.querySelectorAll(`#${groupId} [data-step]`).forEach(btn => {
+                btn.classList.toggle('active', parseFloat(btn.dataset.step) === value);
+            });
+        };
+
+        mark('jogSteps', this.settings.jogStep);
+        mark('jogStepsZ', this.settings.jogStepZ);
+        document.getElementById('jogFeed').value = this.settings.jogFeed;
+        this.updateJogLabels();
+    }
+
+    setJogStep(key, step) {
+        this.settings.update({ [key]: step });
+        this.updateJogPanel();
+    }
+
+    updateJogPosition({ x, y, z }) {
+        document.getElementById('jogPosX').textContent = x.toFixed(2);
+        document.getElementById('jogPosY').textContent = y.toFixed(2);
+        document.getElementById('jogPosZ').textContent = z.toFixed(2);
+    }
+
+    /**
+     * Jog one step along an axis; direction is 1 or -1
+     */
+    jog(axis, direction) {
+        const step = axis === 'z' ? this.settings.jogStepZ : this.settings.jogStep;
+        this.machineCommand(() => this.machine.jog({ [axis]: direction * step }, this.settings.jogFeed));
+    }
+
+    machineCommand(command) {
+        try {
+            command();
+        } catch (error) {
+            this.setMachineStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Point the XY jog buttons at the machine axis that moves the tool their way on screen
+     */
+    updateJogLabels() {
+        document.querySelectorAll('#jogPanel [data-screen]').forEach(btn => {
+            const { axis, direction } = this.coordinates.screenToMachineAxis(btn.dataset.screen);
+            btn.dataset.jog = axis;
+            btn.dataset.dir = direction;
+            btn.textContent = `${axis.toUpperCase()}${direction > 0 ? '+' : '-'}`;
+        });
+    }
+
+    /**
+     * Arrow keys jog X/Y and Page Up/Down jog Z while the control panel is open
+     */
+    handleJogKey(e) {
+        if (!this.isJogPanelOpen() || !this.machine.isConnected()) return false;
+
+        // Arrows move the way the preview shows the bed, whatever the machine orientation
+        const screen = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' }[e.key];
+        const z = { PageUp: 1, PageDown: -1 }[e.key];
+        if (!screen && !z) return false;
+
+        e.preventDefault();
+
+        // Holding a key repeats only once GRBL has taken the previous jog
+        if (e.repeat && this.machine.pendingCount() > 0) return true;
+
+        if (screen) {
+            const { axis, direction } = this.coordinates.screenToMachineAxis(screen);
+            this.jog(axis, direction);
+        } else {
+            this.jog('z', z);
+        }
+        this.jogKey = e.key;
+        return true;
+    }
+
+    /**
+     * Letting go of the jog key stops the machine rather than finishing the step
+     */
+    handleJogKeyUp(e) {
+        if (e.key !== this.jogKey) return;
+        this.jogKey = null;
+        if (this.machine.isConnected()) this.machine.cancelJog();
+    }
+
+    // ============================================
+    // Job Placement
+    // ============================================
+
+    togglePlacementPanel(show) {
+        const panel = document.getElementById('placementPanel');
+        const visible = show ?? panel.classList.contains('hidden');
+
+        panel.classList.toggle('hidden', !visible);
+        document.getElementById('placementBtn').classList.toggle('active', visible);
+        if (visible) this.renderPlacement();
+    }
+
+    isPlacementPanelOpen() {
+        return !document.getElementById('placementPanel').classList.contains('hidden');
+    }
+
+    /**
+     * Placement is a setting, so it is saved with the project; the drawing itself is not touched
+     */
+    updatePlacement(changes) {
+        const placement = { ...DEFAULT_PLACEMENT, ...this.settings.placement, ...changes };
+        this.settings.update({ placement });
+        this.regenerateGcode();
+    }
+
+    renderPlacement() {
+        const placement = { ...DEFAULT_PLACEMENT, ...this.settings.placement };
+
+        document.getElementById('placementAnchor').value = placement.anchor;
+        document.getElementById('placementX').value = placement.x;
+        document.getElementById('placementY').value = placement.y;
+        document.getElementById('placementScale').value = Math.round(placement.scale * 1000) / 10;
+        document.getElementById('placementMirror').checked = placement.mirror;
+        document.querySelectorAll('#placementRotations [data-rotation]').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.rotation, 10) === placement.rotation);
+        });
+
+        // Size of the placed job
+        const jobPlacement = this.gcodeGenerator.placement;
+        const bounds = this.gcodeGenerator.getBounds(this.currentPaths);
+        const placed = bounds && !jobPlacement.isIdentity()
+            ? jobPlacement.transformBounds(bounds, jobPlacement.getMatrix(bounds))
+            : bounds;
+        document.getElementById('placementSize').textContent = placed
+            ? `${(placed.maxX - placed.minX).toFixed(1)} × ${(placed.maxY - placed.minY).toFixed(1)} mm`
+            : 'No paths';
+    }
+
+    // ============================================
+    // Nesting
+    // ============================================
+
+    openNest() {
+        const { parts, loose } = this.nester.findParts(this.currentPaths);
+        this.nestParts = parts;
+        this.nestResult = null;
+
+        document.getElementById('nestSpacing').value = this.settings.nestSpacing;
+        document.getElementById('nestMargin').value = this.settings.nestMargin;
+        document.getElementById('nestRotation').value = this.settings.nestRotation;
+        document.getElementById('nestCopiesAll').value = 1;
+
+        const list = document.getElementById('nestParts');
+        list.innerHTML = '';
+        parts.forEach((part, index) => {
+            const { minX, minY, maxX, maxY } = part.bounds;
+            const item = document.createElement('li');
+            item.className = 'nest-item';
+            item.innerHTML = `
+                <span>Part ${index + 1}</span>
+                <span class="nest-detail">${(maxX - minX).toFixed(1)} × ${(maxY - minY).toFixed(1)} mm</span>
+                <input type="number" min="0" step="1" value="1" data-part="${index}" title="Copies">
+            `;
+            list.appendChild(item);
+        });
+
+        document.getElementById('nestLoose').textContent = loose.length
+            ? `${loose.length} path${loose.length === 1 ? '' : 's'} outside any closed outline will be left out`
+            : '';
+        document.getElementById('nestResults').classList.add('hidden');
+        document.getElementById('downloadSheetsBtn').disabled = true;
+        document.getElementById('runNestBtn').disabled = !parts.length;
+        this.setNestStatus(parts.length ? `${parts.length} parts found` : 'No closed parts to nest', !parts.length);
+
+        document.getElementById('nestModal').classList.remove('hidden');
+    }
+
+    closeNest() {
+        document.getElementById('nestModal').classList.add('hidden');
+    }
+
+    runNest() {
+        this.settings.update({
+            nestSpacing: Math.max(0, parseFloat(document.getElementById('nestSpacing').value) || 0),
+            nestMargin: Math.max(0, parseFloat(document.getElementById('nestMargin').value) || 0),
+            nestRotation: document.getElementById('nestRotation').value
+        });
+
+        const copies = [...document.querySelectorAll('#nestParts [data-part]')]
+            .map(input => Math.max(0, parseInt(input.value, 10) || 0));
+
+        try {
+            this.nestResult = this.nester.nest(this.nestParts, copies);
+        } catch (error) {
+            console.error('Nesting failed:', error);
+            this.setNestStatus(error.message, true);
+            return;
+        }
+
+        const { sheets, unplaced } = this.nestResult;
+        this.renderNestSheets();
+
+        const placed = sheets.reduce((sum, sheet) => sum + sheet.placements.length, 0);
+        const used = sheets.length
+            ? sheets.reduce((sum, sheet) => sum + sheet.utilisation, 0) / sheets.length
+            : 0;
+        let status = `${placed} parts on ${sheets.length} sheet${sheets.length === 1 ? '' : 's'}, ` +
+            `${Math.round(used * 100)}% used`;
+        if (unplaced.length) {
+            const names = unplaced.map(part => `Part ${this.nestParts.indexOf(part) + 1}`).join(', ');
+            status += ` · ${names} too big for the bed`;
+        }
+        this.setNestStatus(status, unplaced.length > 0);
+    }
+
+    renderNestSheets() {
+        const { sheets } = this.nestResult;
+        const list = document.getElementById('nestSheets');
+        list.innerHTML = '';
+
+        sheets.forEach((sheet, index) => {
+            const item = document.createElement('li');
+            item.className = 'nest-item';
+            item.innerHTML = `
+                <span>Sheet ${index + 1}</span>
+                <span class="nest-detail">${sheet.placements.length} parts · ${Math.round(sheet.utilisation * 100)}%</span>
+                <button class="btn btn-secondary btn-small" data-sheet="${index}" data-action="show">Show</button>
+                <button class="btn btn-secondary btn-small" data-sheet="${index}" data-action="download">Download</button>
+            `;
+            list.appendChild(item);
+        });
+
+        document.getElementById('nestResults').classList.toggle('hidden', !sheets.length);
+        document.getElementById('downloadSheetsBtn').disabled = !sheets.length;
+    }
+
+    /**
+     * Load a sheet into the G-code terminal and preview; editing the drawing regenerates the job
+     */
+    showSheet(index) {
+        const { sheets } = this.nestResult;
+        const gcode = this.nester.sheetGcode(sheets[index], index, sheets.length);
+        this.gcodeTerminal.setContent(gcode);
+        this.updatePreview(gcode);
+        this.closeNest();
+    }
+
+    downloadSheet(index) {
+        const { sheets } = this.nestResult;
+        // Generating a sheet to download leaves the terminal alone, so keep its travel figures
+        const travel = this.gcodeGenerator.travel;
+        const gcode = this.nester.sheetGcode(sheets[index], index, sheets.length);
+        this.gcodeGenerator.travel = travel;
+        this.downloadFile(gcode, `void-satellite-sheet-${index + 1}-of-${sheets.length}.gcode`);
+    }
+
+    downloadAllSheets() {
+        if (!this.nestResult) return;
+        this.nestResult.sheets.forEach((sheet, index) => this.downloadSheet(index));
+    }
+
+    setNestStatus(text, isError = false) {
+        const status = document.getElementById('nestStatus');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    // ============================================
+    // Frame Dry Run
+    // ============================================
+
+    toggleFramePanel(show) {
+        const panel = document.getElementById('framePanel');
+        const visible = show ?? panel.classList.contains('hidden');
+
+        panel.classList.toggle('hidden', !visible);
+        document.getElementById('frameBtn').classList.toggle('active', visible);
+
+        if (visible) {
+            this.updateFrame();
+        } else {
+            this.frameGcode = null;
+            this.previewRenderer.setFrame(null);
+        }
+    }
+
+    isFramePanelOpen() {
+        return !document.getElementById('framePanel').classList.contains('hidden');
+    }
+
+    /**
+     * Recompute the frame from the G-code in the terminal and show it on the preview
+     */
+    updateFrame(toolpath = null) {
+        if (!toolpath) {
+            const program = this.gcodeInterpreter.interpret(this.gcodeTerminal.getContent());
+            toolpath = this.gcodeInterpreter.toolpath(program);
+        }
+
+        const outline = this.jobFrame.outline(toolpath, this.frameShape);
+        const size = document.getElementById('frameSize');
+
+        document.querySelectorAll('#frameShapes [data-shape]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.shape === this.frameShape);
+        });
+
+        this.previewRenderer.setFrame(outline);
+        document.getElementById('downloadFrameBtn').disabled = !outline;
+
+        if (!outline) {
+            this.frameGcode = null;
+            size.textContent = 'No drawing moves';
+            return;
+        }
+
+        this.frameGcode = this.jobFrame.toGcode(outline, this.frameShape);
+
+        const { minX, minY, maxX, maxY } = this.jobFrame.getBounds(outline);
+        size.textContent = `${(maxX - minX).toFixed(1)} × ${(maxY - minY).toFixed(1)} mm`;
+    }
+
+    sendFrame() {
+        if (!this.frameGcode) return;
+
+        try {
+            this.machine.stream(this.frameGcode);
+            this.endJob();
+        } catch (error) {
+            this.setMachineStatus(error.message, true);
+        }
+    }
+
+    downloadFrame() {
+        if (!this.frameGcode) return;
+        this.downloadFile(this.frameGcode, `void-satellite-frame-${Date.now()}.gcode`);
+    }
+
+    // ============================================
+    // GRBL Settings
+    // ============================================
+
+    openGrblSettings() {
+        document.getElementById('grblModal').classList.remove('hidden');
+        this.readGrblSettings();
+    }
+
+    closeGrblSettings() {
+        document.getElementById('grblModal').classList.add('hidden');
+    }
+
+    async readGrblSettings() {
+        this.setGrblStatus('Reading $$...');
+
+        try {
+            const values = await this.grblSettings.read();
+            this.renderGrblSettings(values);
+            const synced = this.syncMachineSettings();
+            this.setGrblStatus(`Read ${Object.keys(values).length} settings` +
+                (synced ? ' · machine limits copied to Settings' : ''));
+        } catch (error) {
+            console.error('Failed to read GRBL settings:', error);
+            this.setGrblStatus(error.message, true);
+        }
+    }
+
+    /**
+     * One labelled, validated input per setting, grouped like the GRBL docs
+     */
+    renderGrblSettings(values) {
+        const form = document.getElementById('grblSettingsForm');
+        const groups = new Map();
+
+        Object.keys(values).map(Number).sort((a, b) => a - b).forEach(id => {
+            const group = GRBL_SETTINGS[id]?.group || 'Other';
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(id);
+        });
+
+        form.innerHTML = '';
+
+        groups.forEach((ids, name) => {
+            const section = document.createElement('div');
+            section.className = 'settings-group';
+            section.innerHTML = '<h4></h4>';
+            section.querySelector('h4').textContent = name;
+
+            ids.forEach(id => {
+                const definition = GRBL_SETTINGS[id] || { label: 'Unknown setting' };
+                const row = document.createElement('div');
+                row.className = 'setting-row';
+                row.innerHTML = '<label></label><div class="grbl-value"><input type="number" step="any"><span class="setting-unit"></span></div>';
+
+                const input = row.querySelector('input');
+                input.dataset.id = id;
+                input.value = values[id];
+                input.addEventListener('input', () => this.validateGrblInput(input));
+
+                row.querySelector('label').textContent = `$${id} ${definition.label}`;
+                row.querySelector('.setting-unit').textContent = definition.unit || '';
+                section.appendChild(row);
+            });
+
+            form.appendChild(section);
+        });
+    }
+
+    getGrblFormValues() {
+        const values = {};
+        document.querySelectorAll('#grblSettingsForm input').forEach(input => {
+            values[input.dataset.id] = input.value.trim() === '' ? NaN : Number(input.value);
+        });
+        return values;
+    }
+
+    validateGrblInput(input) {
+        const error = this.grblSettings.validate(Number(input.dataset.id), Number(input.value));
+        input.classList.toggle('invalid', Boolean(error));
+        input.title = error || '';
+        return !error;
+    }
+
+    async writeGrblSettings() {
+        const values = this.getGrblFormValues();
+        const errors = this.grblSettings.validateAll(values);
+
+        document.querySelectorAll('#grblSettingsForm input').forEach(input => {
+            const error = errors[input.dataset.id];
+            input.classList.toggle('invalid', Boolean(error));
+            input.title = error || '';
+        });
+
+        const invalid = Object.keys(errors);
+        if (invalid.length) {
+            this.setGrblStatus(`$${invalid[0]}: ${errors[invalid[0]]}`, true);
+            return;
+        }
+
+        const changes = this.grblSettings.changes(values);
+        const count = Object.keys(changes).length;
+        if (!count) {
+            this.setGrblStatus('No changes to write');
+            return;
+        }
+
+        this.setGrblStatus(`Writing ${count} settings...`);
+        try {
+            await this.grblSettings.write(changes);
+            const synced = this.syncMachineSettings();
+            this.setGrblStatus(`Wrote ${count} settings` + (synced ? ' · machine limits copied to Settings' : ''));
+        } catch (error) {
+            console.error('Failed to write GRBL settings:', error);
+            this.setGrblStatus(error.message, true);
+        }
+    }
+
+    backupGrblSettings() {
+        if (!Object.keys(this.grblSettings.values).length) {
+            this.setGrblStatus('Read the settings before backing them up', true);
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(this.grblSettings.backup(), `grbl-settings-${date}.txt`, 'text/plain');
+    }
+
+    async restoreGrblSettings(file) {
+        this.setGrblStatus(`Restoring ${file.name}...`);
+
+        try {
+            const count = await this.grblSettings.restore(await file.text());
+            this.renderGrblSettings(this.grblSettings.values);
+            const synced = this.syncMachineSettings();
+            this.setGrblStatus(`Restored ${count} changed settings` + (synced ? ' · machine limits copied to Settings' : ''));
+        } catch (error) {
+            console.error('Failed to restore GRBL settings:', error);
+            this.setGrblStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Pull bed size, max feed and motion limits from the machine into Settings; true when anything changed
+     */
+    syncMachineSettings() {
+        const machine = this.grblSettings.toMachineSettings(this.grblSettings.values, this.settings.swapXY);
+        const changes = {};
+
+        Object.entries(machine).forEach(([key, value]) => {
+            if (this.settings[key] !== value) changes[key] = value;
+        });
+
+        // Keep the app's own rates within what the machine allows
+        const maxFeed = machine.maxFeedRate;
+        if (maxFeed) {
+            if (this.settings.feedRate > maxFeed) changes.feedRate = maxFeed;
+            if (this.settings.travelRate > maxFeed) changes.travelRate = maxFeed;
+        }
+
+        if (!Object.keys(changes).length) return false;
+
+        this.settings.update(changes);
+        this.applySettings();
+        this.regenerateGcode();
+        return true;
+    }
+
+    setGrblStatus(text, isError = false) {
+        const status = document.getElementById('grblStatus');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
     getDefaultGcode() {
         return `; Void-Satellite CNC Plotter
 ; No paths - upload an image and trace
@@ -361,11 +1678,37 @@ M2 ; end program
         // Populate current settings
         document.getElementById('bedWidth').value = this.settings.bedWidth;
         document.getElementById('bedHeight').value = this.settings.bedHeight;
+        document.getElementById('machineOrigin').value = this.settings.machineOrigin;
+        document.getElementById('invertX').checked = this.settings.invertX;
+        document.getElementById('invertY').checked = this.settings.invertY;
+        document.getElementById('swapXY').checked = this.settings.swapXY;
         document.getElementById('feedRate').value = this.settings.feedRate;
         document.getElementById('travelRate').value = this.settings.travelRate;
+        document.getElementById('maxFeedRate').value = this.settings.maxFeedRate;
+        document.getElementById('feedRate').max = this.settings.maxFeedRate;
+        document.getElementById('travelRate').max = this.settings.maxFeedRate;
+        document.getElementById('penUpZ').value = this.settings.penUpZ;
+        document.getElementById('penDownZ').value = this.settings.penDownZ;
+        document.getElementById('knifeDepth').value = this.settings.knifeDepth;
+        document.getElementById('servoDown').value = this.settings.servoDown;
+        document.getElementById('laserPower').value = this.settings.laserPower;
         document.getElementById('penUpCmd').value = this.settings.penUpCmd;
         document.getElementById('penDownCmd').value = this.settings.penDownCmd;
+        this.penDwellDraft = { ...this.settings.penDwells };
+        this.editingProfile = null;
+        // An unknown profile (e.g. from an older project) falls back to Z pen, as the generator does
+        const profile = OUTPUT_PROFILES[this.settings.outputProfile] ? this.settings.outputProfile : 'z-pen';
+        document.getElementById('outputProfile').value = profile;
+        this.selectOutputProfile(profile);
+        document.getElementById('acceleration').value = this.settings.acceleration;
+        document.getElementById('junctionDeviation').value = this.settings.junctionDeviation;
+        document.getElementById('penDelay').value = this.settings.penDelay;
+        document.getElementById('curveTolerance').value = this.settings.curveTolerance;
+        document.getElementById('arcFitting').checked = this.settings.arcFitting;
+        document.getElementById('arcTolerance').value = this.settings.arcTolerance;
         document.getElementById('workerUrl').value = this.settings.workerUrl;
+        document.getElementById('baudRate').value = this.settings.baudRate;
+        document.getElementById('simulateMachine').checked = this.settings.simulateMachine;
     }
 
     closeSettings() {
@@ -376,21 +1719,91 @@ M2 ; end program
         this.settings.update({
             bedWidth: parseInt(document.getElementById('bedWidth').value),
             bedHeight: parseInt(document.getElementById('bedHeight').value),
+            machineOrigin: document.getElementById('machineOrigin').value,
+            invertX: document.getElementById('invertX').checked,
+            invertY: document.getElementById('invertY').checked,
+            swapXY: document.getElementById('swapXY').checked,
             feedRate: parseInt(document.getElementById('feedRate').value),
             travelRate: parseInt(document.getElementById('travelRate').value),
+            maxFeedRate: parseInt(document.getElementById('maxFeedRate').value),
+            outputProfile: this.editingProfile,
+            penUpZ: parseFloat(document.getElementById('penUpZ').value),
+            penDownZ: parseFloat(document.getElementById('penDownZ').value),
+            knifeDepth: parseFloat(document.getElementById('knifeDepth').value),
+            servoDown: parseFloat(document.getElementById('servoDown').value),
+            laserPower: parseFloat(document.getElementById('laserPower').value),
+            penDwells: this.storePenDwell(),
             penUpCmd: document.getElementById('penUpCmd').value,
             penDownCmd: document.getElementById('penDownCmd').value,
-            workerUrl: document.getElementById('workerUrl').value
+            acceleration: parseFloat(document.getElementById('acceleration').value),
+            junctionDeviation: parseFloat(document.getElementById('junctionDeviation').value),
+            penDelay: parseFloat(document.getElementById('penDelay').value),
+            curveTolerance: parseFloat(document.getElementById('curveTolerance').value),
+            arcFitting: document.getElementById('arcFitting').checked,
+            arcTolerance: parseFloat(document.getElementById('arcTolerance').value),
+            workerUrl: document.getElementById('workerUrl').value,
+            baudRate: parseInt(document.getElementById('baudRate').value),
+            simulateMachine: document.getElementById('simulateMachine').checked
         });
 
+        this.applySettings();
+        this.closeSettings();
+
+        // Regenerate G-code with new settings
+        this.regenerateGcode();
+    }
+
+    /**
+     * Show the settings the chosen output profile uses, keeping each profile's dwell apart
+     */
+    selectOutputProfile(id) {
+        if (this.editingProfile) this.storePenDwell();
+        this.editingProfile = id;
+
+        document.querySelectorAll('#settingsModal [data-profiles]').forEach(row => {
+            row.classList.toggle('hidden', !row.dataset.profiles.split(' ').includes(id));
+        });
+        document.getElementById('penDwell').value = this.penDwellDraft[id] ?? OUTPUT_PROFILES[id].dwell;
+    }
+
+    storePenDwell() {
+        const dwell = parseFloat(document.getElementById('penDwell').value);
+        if (dwell >= 0) this.penDwellDraft[this.editingProfile] = dwell;
+        return { ...this.penDwellDraft };
+    }
+
+    /**
+     * Push changed settings out to the views
+     */
+    applySettings() {
         document.getElementById('bedSize').textContent =
             `${this.settings.bedWidth}mm × ${this.settings.bedHeight}mm`;
 
         this.previewRenderer.updateSettings(this.settings);
-        this.closeSettings();
+        this.vectorEditor.updateSettings();
+        this.updateJogLabels();
+    }
 
-        // Regenerate G-code with new settings
-        this.regenerateGcode();
+    openCalibration(measuredDistance) {
+        document.getElementById('measuredDistance').textContent = measuredDistance.toFixed(1);
+        document.getElementById('calibrateModal').classList.remove('hidden');
+
+        const input = document.getElementById('realDistance');
+        input.value = '';
+        input.focus();
+    }
+
+    closeCalibration() {
+        document.getElementById('calibrateModal').classList.add('hidden');
+        this.vectorEditor.clearCalibration();
+    }
+
+    applyCalibration() {
+        const distance = parseFloat(document.getElementById('realDistance').value);
+        if (!this.vectorEditor.applyCalibration(distance)) return;
+
+        this.closeCalibration();
+        this.selectTool('select');
     }
 
     initTheme() {
@@ -409,6 +1822,8 @@ M2 ; end program
         // Skip if typing in input field
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
+        if (this.handleJogKey(e)) return;
+
         // Tool shortcuts
         if (!e.ctrlKey && !e.metaKey) {
             switch (e.key.toLowerCase()) {
@@ -417,6 +1832,7 @@ M2 ; end program
                 case 'p': this.selectTool('pen'); break;
                 case 'l': this.selectTool('line'); break;
                 case 'e': this.selectTool('eraser'); break;
+                case 'c': this.selectTool('calibrate'); break;
                 case 'delete':
                 case 'backspace':
                     this.vectorEditor.deleteSelected();
@@ -458,6 +1874,16 @@ M2 ; end program
             e.preventDefault();
             this.vectorEditor.redo();
         }
+
+        // Project save/open
+        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+            e.preventDefault();
+            this.saveProject();
+        }
+        if ((e.ctrlKey || e.metaKey) && e.key === 'o') {
+            e.preventDefault();
+            document.getElementById('projectInput').click();
+        }
     }
 
     selectTool(tool) {
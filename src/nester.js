@@ -0,0 +1,279 @@
+/**
+ * Nester - Packs closed parts onto as many bed-sized sheets as needed
+ * Each part is a closed outline with everything drawn inside it (holes, marks);
+ * parts are packed by their rotated bounding boxes with MaxRects (best short side fit)
+ */
+
+import { Containment } from './containment.js';
+
+// Rotations tried for each part, in degrees clockwise as seen in the editor
+export const NEST_ROTATIONS = {
+    'none': [0],
+    '90': [0, 90],
+    '15': [0, 15, 30, 45, 60, 75, 90, 105, 120, 135, 150, 165]
+};
+
+export class Nester {
+    constructor(generator) {
+        this.generator = generator;
+        this.settings = generator.settings;
+    }
+
+    // ============================================
+    // Parts
+    // ============================================
+
+    /**
+     * Group editor paths into parts: every outermost closed outline, with the paths inside it
+     * Returns { parts: [{ paths, outline, bounds, area }], loose: [paths outside any outline] }
+     */
+    findParts(paths) {
+        // Measured without job placement: sheets are built from each path's own matrix
+        const shapes = paths.map(pathObj => {
+            const strokes = this.generator.pathToStrokes(pathObj)
+                .map(stroke => this.generator.strokeToPoints(stroke));
+            const points = strokes.flat();
+            const closed = strokes.filter(points => Containment.isClosed(points));
+            const area = (points) => Math.abs(Containment.polygonArea(points));
+            const outline = closed.reduce((best, points) => !best || area(points) > area(best) ? points : best, null);
+
+            return {
+                pathObj,
+                points,
+                outline,
+                area: outline ? area(outline) : 0,
+                bounds: points.length ? Containment.getBounds(points) : null
+            };
+        }).filter(shape => shape.bounds);
+
+        // Each shape's container is the smallest closed outline around it
+        const containers = Containment.parents(shapes);
+        const containerOf = new Map(shapes.map((shape, i) => [shape, containers[i]]));
+
+        const rootOf = (shape) => {
+            while (containerOf.get(shape)) shape = containerOf.get(shape);
+            return shape;
+        };
+
+        const parts = new Map();
+        const loose = [];
+        for (const shape of shapes) {
+            const root = rootOf(shape);
+            if (!root.outline) {
+                loose.push(shape.pathObj);
+                continue;
+            }
+            if (!parts.has(root)) {
+                parts.set(root, { paths: [], outline: root.outline, bounds: root.bounds, area: root.area });
+            }
+            parts.get(root).paths.push(shape.pathObj);
+        }
+
+        return { parts: [...parts.values()], loose };
+    }
+
+    // ============================================
+    // Packing
+    // ============================================
+
+    /**
+     * Pack `copies[i]` of each part onto sheets
+     * Returns { sheets: [{ placements, paths, utilisation }], unplaced: [parts bigger than a sheet] }
+     */
+    nest(parts, copies) {
+        const { bedWidth, bedHeight, nestSpacing: spacing, nestMargin: margin } = this.settings;
+        const angles = NEST_ROTATIONS[this.settings.nestRotation] || NEST_ROTATIONS['none'];
+
+        // Spacing is added to every part, so the usable area gets it back once at the far edges
+        const sheetWidth = bedWidth - 2 * margin + spacing;
+        const sheetHeight = bedHeight - 2 * margin + spacing;
+
+        const instances = [];
+        parts.forEach((part, index) => {
+            const options = angles.map(angle => ({ angle, ...this.rotatedSize(part.outline, angle) }));
+            for (let copy = 0; copy < (copies[index] ?? 1); copy++) {
+                instances.push({ part, options });
+            }
+        });
+
+        // Biggest first, by longest side, is what MaxRects packs best
+        const longest = ({ options }) => Math.max(...options.map(o => Math.max(o.width, o.height)));
+        instances.sort((a, b) => longest(b) - longest(a) || b.part.area - a.part.area);
+
+        const sheets = [];
+        const unplaced = new Set();
+
+        for (const instance of instances) {
+            let placed = false;
+
+            for (const sheet of sheets) {
+                if (this.placeOnSheet(sheet, instance, spacing)) {
+                    placed = true;
+                    break;
+                }
+            }
+
+            if (!placed) {
+                const sheet = { free: [{ x: 0, y: 0, width: sheetWidth, height: sheetHeight }], placements: [] };
+                if (this.placeOnSheet(sheet, instance, spacing)) {
+                    sheets.push(sheet);
+                } else {
+                    unplaced.add(instance.part);
+                }
+            }
+        }
+
+        return {
+            sheets: sheets.map(sheet => this.finishSheet(sheet)),
+            unplaced: [...unplaced]
+        };
+    }
+
+    /**
+     * Rotated bounding box of an outline, and the rotated corner that box starts from
+     */
+    rotatedSize(outline, angle) {
+        const { cos, sin } = this.rotation(angle);
+        const bounds = Containment.getBounds(outline.map(pt => ({
+            x: pt.x * cos - pt.y * sin,
+            y: pt.x * sin + pt.y * cos
+        })));
+
+        return {
+            width: bounds.maxX - bounds.minX,
+            height: bounds.maxY - bounds.minY,
+            minX: bounds.minX,
+            minY: bounds.minY
+        };
+    }
+
+    rotation(angle) {
+        const radians = angle * Math.PI / 180;
+        // Exact quarter turns keep straight edges straight in the output
+        const round = (value) => Math.abs(value) < 1e-12 ? 0 : value;
+        return { cos: round(Math.cos(radians)), sin: round(Math.sin(radians)) };
+    }
+
+    /**
+     * Best short side fit over every free rectangle and allowed rotation
+     */
+    placeOnSheet(sheet, instance, spacing) {
+        let best = null;
+
+        for (const option of instance.options) {
+            const width = option.width + spacing;
+            const height = option.height + spacing;
+
+            for (const free of sheet.free) {
+                if (width > free.width + 1e-9 || height > free.height + 1e-9) continue;
+
+                const shortSide = Math.min(free.width - width, free.height - height);
+                const longSide = Math.max(free.width - width, free.height - height);
+                if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && longSide < best.longSide)) {
+                    best = { shortSide, longSide, option, rect: { x: free.x, y: free.y, width, height } };
+                }
+            }
+        }
+
+        if (!best) return false;
+
+        this.splitFree(sheet, best.rect);
+        sheet.placements.push({ part: instance.part, option: best.option, x: best.rect.x, y: best.rect.y });
+        return true;
+    }
+
+    /**
+     * MaxRects: carve the used rectangle out of every free one it overlaps, then drop
+     * free rectangles contained in others
+     */
+    splitFree(sheet, used) {
+        const next = [];
+
+        for (const free of sheet.free) {
+            const overlaps = used.x < free.x + free.width && used.x + used.width > free.x &&
+                used.y < free.y + free.height && used.y + used.height > free.y;
+
+            if (!overlaps) {
+                next.push(free);
+                continue;
+            }
+
+            if (used.x > free.x) {
+                next.push({ x: free.x, y: free.y, width: used.x - free.x, height: free.height });
+            }
+            if (used.x + used.width < free.x + free.width) {
+                next.push({
+                    x: used.x + used.width, y: free.y,
+                    width: free.x + free.width - used.x - used.width, height: free.height
+                });
+            }
+            if (used.y > free.y) {
+                next.push({ x: free.x, y: free.y, width: free.width, height: used.y - free.y });
+            }
+            if (used.y + used.height < free.y + free.height) {
+                next.push({
+                    x: free.x, y: used.y + used.height,
+                    width: free.width, height: free.y + free.height - used.y - used.height
+                });
+            }
+        }
+
+        const inside = (a, b) => a.x >= b.x && a.y >= b.y &&
+            a.x + a.width <= b.x + b.width && a.y + a.height <= b.y + b.height;
+
+        sheet.free = next.filter((rect, i) =>
+            !next.some((other, j) => j !== i && inside(rect, other) && (!inside(other, rect) || j < i)));
+    }
+
+    /**
+     * Turn packed rectangles into transformed copies of the part paths
+     * Packing starts at the front-left corner of the bed
+     */
+    finishSheet(sheet) {
+        const { bedWidth, bedHeight, nestMargin: margin } = this.settings;
+        const paths = [];
+        let partArea = 0;
+
+        for (const placement of sheet.placements) {
+            const { cos, sin } = this.rotation(placement.option.angle);
+            const { minX, minY, height } = placement.option;
+
+            // Document Y runs from the rear, so flip the packing rows towards the front
+            const left = margin + placement.x;
+            const top = bedHeight - margin - placement.y - height;
+            const matrix = [cos, sin, -sin, cos, left - minX, top - minY];
+
+            placement.paths = placement.part.paths.map(pathObj => ({
+                path: pathObj.path,
+                pathOffset: pathObj.pathOffset,
+                layer: pathObj.layer,
+                matrix: this.generator.multiplyMatrices(matrix, this.generator.getObjectMatrix(pathObj))
+            }));
+            paths.push(...placement.paths);
+            partArea += placement.part.area;
+        }
+
+        // Packing and output must agree on the geometry; a part past the bed means they did not
+        const bounds = Containment.getBounds(paths.flatMap(pathObj => this.generator.pathToPoints(pathObj)));
+        const tolerance = 1e-6;
+        if (bounds.minX < -tolerance || bounds.minY < -tolerance ||
+            bounds.maxX > bedWidth + tolerance || bounds.maxY > bedHeight + tolerance) {
+            throw new Error('Nested parts run off the sheet');
+        }
+
+        return {
+            placements: sheet.placements,
+            paths,
+            utilisation: partArea / (bedWidth * bedHeight)
+        };
+    }
+
+    /**
+     * G-code for one sheet; job placement does not apply, the nesting already placed it
+     */
+    sheetGcode(sheet, index, count) {
+        const note = `Sheet ${index + 1} of ${count}: ${sheet.placements.length} parts, ` +
+            `${Math.round(sheet.utilisation * 100)}% used`;
+        return this.generator.generate(sheet.paths, { placement: false, note });
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Output Profiles - How each kind of machine raises and lowers its tool
+ * Z-axis pens, hobby servos on the spindle PWM, laser modules and drag knives,
+ * each with its own pen commands, G4 dwell and pen-state signature
+ */
+
+// Pen commands from settings; dwell is the default G4 pause after each pen change
+export const OUTPUT_PROFILES = {
+    'z-pen': {
+        label: 'Z-axis Pen',
+        dwell: 0,
+        penUp: s => `G0 Z${s.penUpZ}`,
+        penDown: s => `G1 Z${s.penDownZ}`,
+        signature: s => ({ axis: 'z', up: s.penUpZ, down: s.penDownZ })
+    },
+    'servo': {
+        label: 'Servo (M3 S / M5)',
+        dwell: 0.25,
+        penUp: () => 'M5',
+        penDown: s => `M3 S${s.servoDown}`,
+        signature: s => ({ axis: 's', up: 0, down: s.servoDown })
+    },
+    'laser': {
+        label: 'Laser (M4 dynamic power)',
+        dwell: 0,
+        penUp: () => 'M5',
+        penDown: s => `M4 S${s.laserPower}`,
+        signature: s => ({ axis: 's', up: 0, down: s.laserPower }),
+        note: 'Laser mode must be on ($32=1) so G0 travel stays dark'
+    },
+    'drag-knife': {
+        label: 'Drag Knife',
+        dwell: 0.1,
+        penUp: s => `G0 Z${s.penUpZ}`,
+        penDown: s => `G1 Z${-s.knifeDepth}`,
+        signature: s => ({ axis: 'z', up: s.penUpZ, down: -s.knifeDepth })
+    },
+    'custom': {
+        label: 'Custom Commands',
+        dwell: 0,
+        penUp: s => s.penUpCmd,
+        penDown: s => s.penDownCmd,
+        signature: null
+    }
+};
+
+export class OutputProfile {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * The selected profile's definition (Z-axis pen when the id is unknown)
+     */
+    get definition() {
+        return OUTPUT_PROFILES[this.settings.outputProfile] || OUTPUT_PROFILES['z-pen'];
+    }
+
+    get label() {
+        return this.definition.label;
+    }
+
+    penUpCommand() {
+        return this.definition.penUp(this.settings);
+    }
+
+    penDownCommand() {
+        return this.definition.penDown(this.settings);
+    }
+
+    /**
+     * Seconds to wait after each pen change; settings override the profile default
+     */
+    getDwell() {
+        const dwell = (this.settings.penDwells || {})[this.settings.outputProfile];
+        return dwell ?? this.definition.dwell;
+    }
+
+    /**
+     * Pen up / down G-code lines, each followed by the profile's dwell
+     */
+    penUp() {
+        return this.withDwell(`${this.penUpCommand()} ; pen up`);
+    }
+
+    penDown() {
+        return this.withDwell(`${this.penDownCommand()} ; pen down`);
+    }
+
+    withDwell(line) {
+        const dwell = this.getDwell();
+        return dwell > 0 ? `${line}\nG4 P${dwell} ; let the pen settle\n` : `${line}\n`;
+    }
+
+    /**
+     * Header comment lines describing the profile
+     */
+    headerComment() {
+        let comment = `; Output: ${this.label}\n`;
+        if (this.definition.note) comment += `; ${this.definition.note}\n`;
+        return comment;
+    }
+
+    /**
+     * How pen up and down differ: { axis: 'z' | 's' | null, up, down }
+     * Custom commands are read for a Z height or spindle S (M5 counts as S0)
+     */
+    getSignature() {
+        if (this.definition.signature) {
+            return this.definition.signature(this.settings);
+        }
+
+        const word = (command, letter) => {
+            const match = new RegExp(`${letter}\\s*([-+]?(?:\\d+\\.?\\d*|\\.\\d+))`, 'i').exec(command);
+            return match ? parseFloat(match[1]) : null;
+        };
+        const spindle = (command) => {
+            if (/M0*5(?!\d)/i.test(command)) return 0;
+            return word(command, 'S');
+        };
+
+        const up = this.penUpCommand();
+        const down = this.penDownCommand();
+        const upZ = word(up, 'Z');
+        const downZ = word(down, 'Z');
+        const upS = spindle(up);
+        const downS = spindle(down);
+
+        if (upZ !== null && downZ !== null && upZ !== downZ) {
+            return { axis: 'z', up: upZ, down: downZ };
+        }
+        if (upS !== null && downS !== null && upS !== downS) {
+            return { axis: 's', up: upS, down: downS };
+        }
+        return { axis: null, up: null, down: null };
+    }
+}
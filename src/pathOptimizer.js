@@ -0,0 +1,563 @@
+/**
+ * Path Optimizer - Orders pen-down strokes for the least pen-up travel
+ * Strokes are cut inside-out, one containment level at a time; within a level, greedy
+ * nearest neighbour over every usable start point (either end of an open stroke, any
+ * vertex of a closed loop) is refined with 2-opt on nearest-neighbour candidate lists
+ * and a final pass that re-picks each loop's seam and each open stroke's direction
+ */
+
+import { Containment, CLOSE_TOLERANCE } from './containment.js';
+
+// Candidate partners per point for 2-opt
+const NEIGHBOURS = 8;
+const MAX_PASSES = 50;
+
+export class PathOptimizer {
+    constructor(generator) {
+        this.generator = generator;
+    }
+
+    /**
+     * Order the strokes of all paths, starting and finishing at `home` (document mm),
+     * after moving them by the job's placementMatrix when there is one
+     * Returns { strokes: [{ pathObj, stroke, crossing }], travel, unoptimised } with travel in mm;
+     * crossing marks open strokes that cut through a closed outline
+     */
+    optimize(paths, home, placementMatrix = null) {
+        // Flatten once; everything below works on the cached units
+        const units = [];
+        for (const pathObj of paths) {
+            for (const stroke of this.generator.pathToStrokes(pathObj, placementMatrix)) {
+                units.push(this.createUnit(pathObj, stroke));
+            }
+        }
+
+        if (!units.length) return { strokes: [], travel: 0, unoptimised: 0 };
+
+        const unoptimised = this.tourLength(units, home, home);
+        const levels = this.cutLevels(units);
+        const ordered = [];
+        let position = home;
+
+        // Each level starts where the last one ended; only the outermost returns home
+        levels.forEach((level, i) => {
+            const end = i === levels.length - 1 ? home : null;
+            const tour = this.nearestNeighbour(level, position);
+
+            // Seams chosen greedily are refined once the order settles, which can open new 2-opt moves
+            for (let round = 0; round < 2; round++) {
+                this.twoOpt(level, tour, position, end);
+                this.refineEnds(level, tour, position, end);
+            }
+
+            tour.forEach(index => ordered.push(level[index]));
+            position = this.exit(ordered[ordered.length - 1]);
+        });
+
+        return {
+            strokes: ordered.map(unit => ({
+                pathObj: unit.pathObj,
+                stroke: this.orientStroke(unit),
+                crossing: unit.crossing
+            })),
+            travel: this.tourLength(ordered, home, home),
+            unoptimised
+        };
+    }
+
+    /**
+     * Split units into levels of the containment tree, innermost first: everything inside
+     * a closed loop is cut before the loop, so a hot knife never frees a piece too early
+     * Open strokes go with the holes of the loop around them
+     */
+    cutLevels(units) {
+        const shapes = units.map(({ points, bounds, closed }) => ({
+            points,
+            bounds,
+            outline: closed ? points : null,
+            area: closed ? Math.abs(Containment.polygonArea(points)) : 0
+        }));
+
+        const parents = Containment.parents(shapes);
+        const indexOf = new Map(shapes.map((shape, i) => [shape, i]));
+        const depths = new Array(shapes.length);
+        const depth = (i) => {
+            if (depths[i] === undefined) {
+                depths[i] = parents[i] ? depth(indexOf.get(parents[i])) + 1 : 0;
+            }
+            return depths[i];
+        };
+
+        const edges = Containment.edgeIndex(shapes.filter(shape => shape.outline).map(shape => shape.outline));
+        const levels = [];
+        units.forEach((unit, i) => {
+            if (!unit.closed) {
+                unit.crossing = Containment.crosses(unit.points, edges);
+            }
+            const level = depth(i);
+            if (!levels[level]) levels[level] = [];
+            levels[level].push(unit);
+        });
+
+        return levels.filter(Boolean).reverse();
+    }
+
+    // ============================================
+    // Units
+    // ============================================
+
+    /**
+     * One stroke with its possible start points
+     * Open strokes may run either way; closed loops may start at any vertex but keep their direction
+     */
+    createUnit(pathObj, stroke) {
+        const start = stroke[0].to;
+        const end = stroke[stroke.length - 1].to;
+        const closed = stroke.length > 2 && this.distance(start, end) <= CLOSE_TOLERANCE;
+        const points = this.generator.strokeToPoints(stroke);
+
+        return {
+            pathObj,
+            stroke,
+            closed,
+            // Flattened once, for the containment tests
+            points,
+            bounds: Containment.getBounds(points),
+            start,
+            end,
+            // Vertex k ends segment k; the last one is the original start
+            vertices: closed ? stroke.slice(1).map(seg => seg.to) : null,
+            seam: closed ? stroke.length - 2 : 0,
+            reversed: false,
+            crossing: false
+        };
+    }
+
+    entry(unit) {
+        if (unit.closed) return unit.vertices[unit.seam];
+        return unit.reversed ? unit.end : unit.start;
+    }
+
+    exit(unit) {
+        if (unit.closed) return unit.vertices[unit.seam];
+        return unit.reversed ? unit.start : unit.end;
+    }
+
+    /**
+     * The stroke as it will be drawn: reversed, or restarted at its seam
+     */
+    orientStroke(unit) {
+        if (unit.closed) return this.rotateStroke(unit.stroke, unit.seam + 1);
+        return unit.reversed ? this.reverseStroke(unit.stroke) : unit.stroke;
+    }
+
+    reverseStroke(stroke) {
+        const reversed = [{ type: 'move', to: stroke[stroke.length - 1].to }];
+
+        for (let i = stroke.length - 1; i > 0; i--) {
+            const seg = stroke[i];
+            switch (seg.type) {
+                case 'line':
+                    reversed.push({ type: 'line', from: seg.to, to: seg.from });
+                    break;
+                case 'quadratic':
+                    reversed.push({ type: 'quadratic', from: seg.to, control: seg.control, to: seg.from });
+                    break;
+                case 'cubic':
+                    reversed.push({
+                        type: 'cubic', from: seg.to,
+                        control1: seg.control2, control2: seg.control1,
+                        to: seg.from
+                    });
+                    break;
+            }
+        }
+
+        return reversed;
+    }
+
+    /**
+     * Restart a closed stroke after its first `count` segments
+     */
+    rotateStroke(stroke, count) {
+        const segments = stroke.slice(1);
+        if (count >= segments.length) return stroke;
+
+        const last = segments[segments.length - 1];
+        const first = segments[0];
+        const rotated = [{ type: 'move', to: segments[count - 1].to }, ...segments.slice(count)];
+
+        // Loops closed within tolerance get the tiny gap drawn so none is left open
+        if (this.distance(last.to, first.from) > 1e-9) {
+            rotated.push({ type: 'line', from: last.to, to: first.from });
+        }
+
+        return [...rotated, ...segments.slice(0, count)];
+    }
+
+    tourLength(units, start, end) {
+        let length = 0;
+        let position = start;
+
+        for (const unit of units) {
+            length += this.distance(position, this.entry(unit));
+            position = this.exit(unit);
+        }
+
+        return length + this.gap(position, end);
+    }
+
+    // ============================================
+    // Nearest Neighbour
+    // ============================================
+
+    /**
+     * Greedy tour: always travel to the closest start point of any stroke still to draw
+     */
+    nearestNeighbour(units, start) {
+        const points = [];
+        units.forEach((unit, index) => {
+            if (unit.closed) {
+                unit.vertices.forEach((pt, vertex) => points.push({ x: pt.x, y: pt.y, unit: index, vertex }));
+            } else {
+                points.push({ x: unit.start.x, y: unit.start.y, unit: index, reversed: false });
+                points.push({ x: unit.end.x, y: unit.end.y, unit: index, reversed: true });
+            }
+        });
+
+        // Each unit's points are contiguous, so they can be dropped together once it is drawn
+        const firstPoint = new Array(units.length);
+        points.forEach((pt, i) => {
+            if (firstPoint[pt.unit] === undefined) firstPoint[pt.unit] = i;
+        });
+
+        const grid = new PointGrid(points);
+        const tour = [];
+        let position = start;
+
+        while (tour.length < units.length) {
+            const pt = points[grid.nearest(position)];
+            const unit = units[pt.unit];
+
+            if (unit.closed) unit.seam = pt.vertex;
+            else unit.reversed = pt.reversed;
+
+            for (let i = firstPoint[pt.unit]; i < points.length && points[i].unit === pt.unit; i++) {
+                grid.remove(i);
+            }
+
+            tour.push(pt.unit);
+            position = this.exit(unit);
+        }
+
+        return tour;
+    }
+
+    // ============================================
+    // 2-opt
+    // ============================================
+
+    /**
+     * Reverse runs of the tour while that shortens it; reversing flips open strokes too
+     * Travel edge e joins the exit of position e - 1 to the entry of position e,
+     * with `start` before position 0 and `end` (null for a free end) after the last one
+     */
+    twoOpt(units, tour, start, end) {
+        const count = tour.length;
+        if (count < 2) return;
+
+        const position = new Array(units.length);
+        tour.forEach((unit, i) => position[unit] = i);
+
+        const exitAt = (i) => i < 0 ? start : this.exit(units[tour[i]]);
+        const entryAt = (i) => i >= count ? end : this.entry(units[tour[i]]);
+
+        // The ends of every unit, the start and the end, with their nearest others as move candidates
+        const points = [{ x: start.x, y: start.y, unit: -1 }];
+        if (end) points.push({ x: end.x, y: end.y, unit: -2 });
+        const pointsOf = units.map((unit, index) => {
+            const first = points.length;
+            if (unit.closed) {
+                points.push({ ...this.entry(unit), unit: index, end: 'both' });
+            } else {
+                points.push({ ...unit.start, unit: index, end: 'start' });
+                points.push({ ...unit.end, unit: index, end: 'end' });
+            }
+            return [first, points.length];
+        });
+        const grid = new PointGrid(points);
+        const neighbours = points.map(pt => grid.nearestK(pt, NEIGHBOURS, pt.unit));
+
+        // Travel edge a point starts as an exit, or ends as an entry (null when it has no such role)
+        const exitEdge = (pt) => {
+            if (pt.unit < 0) return pt.unit === -1 ? 0 : null;
+            const isEntry = pt.end === 'start' ? !units[pt.unit].reversed : units[pt.unit].reversed;
+            return pt.end === 'both' || !isEntry ? position[pt.unit] + 1 : null;
+        };
+        const entryEdge = (pt) => {
+            if (pt.unit < 0) return pt.unit === -2 ? count : null;
+            const isEntry = pt.end === 'start' ? !units[pt.unit].reversed : units[pt.unit].reversed;
+            return pt.end === 'both' || isEntry ? position[pt.unit] : null;
+        };
+
+        const gain = (i, j) =>
+            this.distance(exitAt(i - 1), entryAt(i)) + this.gap(exitAt(j - 1), entryAt(j)) -
+            this.distance(exitAt(i - 1), exitAt(j - 1)) - this.gap(entryAt(i), entryAt(j));
+
+        const reverse = (i, j) => {
+            for (let a = i, b = j - 1; a < b; a++, b--) {
+                [tour[a], tour[b]] = [tour[b], tour[a]];
+            }
+            for (let a = i; a < j; a++) {
+                const unit = units[tour[a]];
+                position[tour[a]] = a;
+                if (!unit.closed) unit.reversed = !unit.reversed;
+            }
+        };
+
+        // Don't-look bits: only points next to a changed edge are looked at again
+        const queue = points.map((pt, index) => index);
+        const queued = new Uint8Array(points.length).fill(1);
+        const wake = (i) => {
+            const [first, last] = i < 0 ? [0, 1] : i >= count ? [1, end ? 2 : 1] : pointsOf[tour[i]];
+            for (let index = first; index < last; index++) {
+                if (!queued[index]) {
+                    queued[index] = 1;
+                    queue.push(index);
+                }
+            }
+        };
+
+        const tryMove = (e1, e2) => {
+            if (e1 === null || e2 === null || e1 === e2) return false;
+            const i = Math.min(e1, e2);
+            const j = Math.max(e1, e2);
+            if (gain(i, j) <= 1e-6) return false;
+
+            reverse(i, j);
+            [i - 1, i, j - 1, j].forEach(wake);
+            return true;
+        };
+
+        for (let budget = MAX_PASSES * points.length; queue.length && budget > 0; budget--) {
+            const index = queue.pop();
+            queued[index] = 0;
+            const pt = points[index];
+
+            for (const other of neighbours[index]) {
+                // Exit to exit, or entry to entry, becomes the new travel edge
+                if (tryMove(exitEdge(pt), exitEdge(points[other])) ||
+                    tryMove(entryEdge(pt), entryEdge(points[other]))) {
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * With the order fixed, give each stroke the best direction or seam for its neighbours
+     */
+    refineEnds(units, tour, start, end) {
+        tour.forEach((index, i) => {
+            const unit = units[index];
+            const previous = i > 0 ? this.exit(units[tour[i - 1]]) : start;
+            const next = i + 1 < tour.length ? this.entry(units[tour[i + 1]]) : end;
+
+            if (unit.closed) {
+                let best = Infinity;
+                unit.vertices.forEach((pt, vertex) => {
+                    const cost = this.distance(previous, pt) + this.gap(pt, next);
+                    if (cost < best - 1e-9) {
+                        best = cost;
+                        unit.seam = vertex;
+                    }
+                });
+            } else {
+                const forward = this.distance(previous, unit.start) + this.gap(unit.end, next);
+                const backward = this.distance(previous, unit.end) + this.gap(unit.start, next);
+                unit.reversed = backward < forward - 1e-9;
+            }
+        });
+    }
+
+    distance(p1, p2) {
+        const dx = p2.x - p1.x;
+        const dy = p2.y - p1.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Distance to a point that may be a free end (null), which costs nothing to reach
+     */
+    gap(p1, p2) {
+        return p1 && p2 ? this.distance(p1, p2) : 0;
+    }
+}
+
+/**
+ * Uniform grid over a fixed set of points for nearest-point queries, with removal
+ * Typed arrays throughout; traced drawings give tens of thousands of points
+ */
+class PointGrid {
+    constructor(points) {
+        const count = points.length;
+        this.xs = new Float64Array(count);
+        this.ys = new Float64Array(count);
+        this.units = new Int32Array(count);
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        points.forEach((pt, i) => {
+            this.xs[i] = pt.x;
+            this.ys[i] = pt.y;
+            this.units[i] = pt.unit;
+            minX = Math.min(minX, pt.x);
+            minY = Math.min(minY, pt.y);
+            maxX = Math.max(maxX, pt.x);
+            maxY = Math.max(maxY, pt.y);
+        });
+
+        // About two points per cell
+        const width = Math.max(maxX - minX, 1e-6);
+        const height = Math.max(maxY - minY, 1e-6);
+        this.size = Math.max(Math.sqrt(width * height * 2 / count), 1e-3);
+        this.minX = minX;
+        this.minY = minY;
+        this.cols = Math.floor(width / this.size) + 1;
+        this.rows = Math.floor(height / this.size) + 1;
+
+        // Each cell owns a fixed run of `items`; its live points are the first cellCount of them
+        const cellOf = new Int32Array(count);
+        this.cellStart = new Int32Array(this.cols * this.rows + 1);
+        this.cellCount = new Int32Array(this.cols * this.rows);
+        for (let i = 0; i < count; i++) {
+            cellOf[i] = this.cellIndex(this.column(this.xs[i]), this.row(this.ys[i]));
+            this.cellStart[cellOf[i] + 1]++;
+        }
+        for (let cell = 0; cell < this.cellCount.length; cell++) {
+            this.cellStart[cell + 1] += this.cellStart[cell];
+        }
+
+        this.items = new Int32Array(count);
+        this.slotOf = new Int32Array(count);
+        this.cellOf = cellOf;
+        for (let i = 0; i < count; i++) {
+            const slot = this.cellStart[cellOf[i]] + this.cellCount[cellOf[i]]++;
+            this.items[slot] = i;
+            this.slotOf[i] = slot;
+        }
+
+        // Live points in no particular order, for the full scan
+        this.alive = Int32Array.from(points, (pt, i) => i);
+        this.aliveSlot = Int32Array.from(this.alive);
+        this.aliveCount = count;
+
+        // Best-so-far buffers for queries
+        this.bestIndex = new Int32Array(0);
+        this.bestDist = new Float64Array(0);
+    }
+
+    column(x) {
+        return Math.min(this.cols - 1, Math.max(0, Math.floor((x - this.minX) / this.size)));
+    }
+
+    row(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor((y - this.minY) / this.size)));
+    }
+
+    cellIndex(col, row) {
+        return row * this.cols + col;
+    }
+
+    remove(index) {
+        const aliveSlot = this.aliveSlot[index];
+        if (aliveSlot >= this.aliveCount) return;
+
+        const lastAlive = this.alive[--this.aliveCount];
+        this.alive[aliveSlot] = lastAlive;
+        this.aliveSlot[lastAlive] = aliveSlot;
+        this.alive[this.aliveCount] = index;
+        this.aliveSlot[index] = this.aliveCount;
+
+        // Swap with the cell's last live point
+        const cell = this.cellOf[index];
+        const lastSlot = this.cellStart[cell] + --this.cellCount[cell];
+        const slot = this.slotOf[index];
+        const moved = this.items[lastSlot];
+        this.items[slot] = moved;
+        this.slotOf[moved] = slot;
+        this.items[lastSlot] = index;
+        this.slotOf[index] = lastSlot;
+    }
+
+    /**
+     * Index of the closest remaining point, or -1 when none are left
+     */
+    nearest(pt) {
+        return this.nearestK(pt, 1, null)[0] ?? -1;
+    }
+
+    /**
+     * Indices of up to k closest remaining points, nearest first, skipping those of `excludeUnit`
+     * Searches rings of cells outwards, falling back to a full scan when rings get sparse
+     */
+    nearestK(pt, k, excludeUnit) {
+        if (this.bestIndex.length < k) {
+            this.bestIndex = new Int32Array(k);
+            this.bestDist = new Float64Array(k);
+        }
+        const bestIndex = this.bestIndex;
+        const bestDist = this.bestDist;
+        const exclude = excludeUnit === null ? -Infinity : excludeUnit;
+        let found = 0;
+
+        const consider = (index) => {
+            if (this.units[index] === exclude) return;
+
+            const dx = this.xs[index] - pt.x;
+            const dy = this.ys[index] - pt.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (found === k && dist >= bestDist[k - 1]) return;
+
+            let i = found === k ? k - 1 : found++;
+            while (i > 0 && bestDist[i - 1] > dist) {
+                bestDist[i] = bestDist[i - 1];
+                bestIndex[i] = bestIndex[i - 1];
+                i--;
+            }
+            bestDist[i] = dist;
+            bestIndex[i] = index;
+        };
+
+        const col = this.column(pt.x);
+        const row = this.row(pt.y);
+        const maxRing = Math.max(col, row, this.cols - 1 - col, this.rows - 1 - row);
+        let scanned = 0;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            for (let r = row - ring; r <= row + ring; r++) {
+                if (r < 0 || r >= this.rows) continue;
+                const step = r === row - ring || r === row + ring ? 1 : Math.max(2 * ring, 1);
+
+                for (let c = col - ring; c <= col + ring; c += step) {
+                    if (c < 0 || c >= this.cols) continue;
+                    const cell = this.cellIndex(c, r);
+                    const first = this.cellStart[cell];
+                    const last = first + this.cellCount[cell];
+                    for (let slot = first; slot < last; slot++) consider(this.items[slot]);
+                    scanned++;
+                }
+            }
+
+            // Anything in the next ring is at least `ring` cells away
+            if (found === k && bestDist[k - 1] <= ring * this.size) break;
+
+            if (scanned > this.aliveCount * 2) {
+                found = 0;
+                for (let i = 0; i < this.aliveCount; i++) consider(this.alive[i]);
+                break;
+            }
+        }
+
+        return Array.from(bestIndex.subarray(0, found));
+    }
+}
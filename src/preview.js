@@ -3,6 +3,8 @@
  * Shows travel moves (dashed blue) vs draw moves (solid green)
  */
 
+import { ArcFitter } from './arcFitter.js';
+
 export class PreviewRenderer {
     constructor(canvasId, options = {}) {
         this.canvas = document.getElementById(canvasId);
@@ -10,10 +12,19 @@ export class PreviewRenderer {
         this.rulerX = document.getElementById(options.rulerX);
         this.rulerY = document.getElementById(options.rulerY);
         this.settings = options.settings;
+        this.coordinates = options.coordinates;
 
         this.gridVisible = true;
         this.toolpath = [];
         this.animating = false;
+        this.frame = null;
+        this.problems = [];
+        this.selectedProblem = null;
+
+        // Live machine position from GRBL status reports
+        this.machinePosition = null;
+        this.machinePenDown = false;
+        this.statusTimer = null;
 
         this.init();
     }
@@ -50,95 +61,155 @@ export class PreviewRenderer {
         this.redraw();
     }
 
-    drawGrid() {
-        if (!this.gridVisible) return;
+    /**
+     * Map machine coordinates (mm) to preview canvas pixels, oriented like the editor
+     */
+    toCanvas(x, y) {
+        const view = this.coordinates.fitBed(this.canvas.width, this.canvas.height);
+        const pt = this.coordinates.machineToDocument(x, y);
+        return {
+            x: view.offsetX + pt.x * view.scale,
+            y: view.offsetY + pt.y * view.scale
+        };
+    }
 
-        const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+    /**
+     * Machine-space points along a move, up to fraction `upTo`
+     * Arcs are split into short chords
+     */
+    movePoints(move, upTo = 1) {
+        if (!move.arc) {
+            return [move.from, {
+                x: move.from.x + (move.to.x - move.from.x) * upTo,
+                y: move.from.y + (move.to.y - move.from.y) * upTo
+            }];
+        }
 
-        // Calculate scale (mm per pixel)
-        const scaleX = this.settings.bedWidth / width;
-        const scaleY = this.settings.bedHeight / height;
+        const { center, clockwise } = move.arc;
+        const sweep = ArcFitter.sweep(move.from, move.to, center, clockwise) * upTo;
+        const steps = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 36)));
+        const points = [];
 
-        // Major grid every 100mm, minor every 10mm
-        const majorSpacingMm = 100;
-        const minorSpacingMm = 10;
+        for (let i = 0; i <= steps; i++) {
+            points.push(ArcFitter.arcPoint(move.from, center, sweep, i / steps));
+        }
 
-        ctx.save();
+        return points;
+    }
 
-        // Minor grid lines
-        ctx.strokeStyle = getComputedStyle(document.documentElement)
-            .getPropertyValue('--grid-minor').trim() || 'rgba(99, 102, 241, 0.1)';
-        ctx.lineWidth = 0.5;
+    /**
+     * Move length in mm
+     */
+    moveLength(move) {
+        const dx = move.to.x - move.from.x;
+        const dy = move.to.y - move.from.y;
 
-        for (let mm = 0; mm <= this.settings.bedWidth; mm += minorSpacingMm) {
-            const x = mm / scaleX;
-            ctx.beginPath();
-            ctx.moveTo(x, 0);
-            ctx.lineTo(x, height);
-            ctx.stroke();
-        }
+        if (!move.arc) return Math.sqrt(dx * dx + dy * dy);
 
-        for (let mm = 0; mm <= this.settings.bedHeight; mm += minorSpacingMm) {
-            const y = height - (mm / scaleY);
-            ctx.beginPath();
-            ctx.moveTo(0, y);
-            ctx.lineTo(width, y);
-            ctx.stroke();
+        const { center, clockwise } = move.arc;
+        const radius = Math.hypot(move.from.x - center.x, move.from.y - center.y);
+        return Math.abs(ArcFitter.sweep(move.from, move.to, center, clockwise)) * radius;
+    }
+
+    traceMove(move, upTo = 1) {
+        const points = this.movePoints(move, upTo).map(pt => this.toCanvas(pt.x, pt.y));
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            this.ctx.lineTo(points[i].x, points[i].y);
         }
 
-        // Major grid lines
-        ctx.strokeStyle = getComputedStyle(document.documentElement)
-            .getPropertyValue('--grid-major').trim() || 'rgba(99, 102, 241, 0.3)';
+        return points[points.length - 1];
+    }
+
+    drawGrid() {
+        if (!this.gridVisible) return;
+
+        const ctx = this.ctx;
+        const styles = getComputedStyle(document.documentElement);
+
+        ctx.save();
+
+        // Minor grid every 10mm, major every 100mm, counted from machine zero
+        ctx.strokeStyle = styles.getPropertyValue('--grid-minor').trim() || 'rgba(99, 102, 241, 0.1)';
+        ctx.lineWidth = 0.5;
+        this.drawGridLines(10);
+
+        ctx.strokeStyle = styles.getPropertyValue('--grid-major').trim() || 'rgba(99, 102, 241, 0.3)';
         ctx.lineWidth = 1;
+        this.drawGridLines(100);
 
-        for (let mm = 0; mm <= this.settings.bedWidth; mm += majorSpacingMm) {
-            const x = mm / scaleX;
-            ctx.beginPath();
-            ctx.moveTo(x, 0);
-            ctx.lineTo(x, height);
-            ctx.stroke();
-        }
+        // Bed outline
+        const view = this.coordinates.fitBed(this.canvas.width, this.canvas.height);
+        ctx.strokeRect(view.offsetX, view.offsetY, this.settings.bedWidth * view.scale, this.settings.bedHeight * view.scale);
 
-        for (let mm = 0; mm <= this.settings.bedHeight; mm += majorSpacingMm) {
-            const y = height - (mm / scaleY);
-            ctx.beginPath();
-            ctx.moveTo(0, y);
-            ctx.lineTo(width, y);
-            ctx.stroke();
-        }
+        // Machine zero
+        const origin = this.toCanvas(0, 0);
+        ctx.fillStyle = styles.getPropertyValue('--accent-primary').trim() || '#6366f1';
+        ctx.beginPath();
+        ctx.arc(origin.x, origin.y, 3, 0, Math.PI * 2);
+        ctx.fill();
 
         ctx.restore();
     }
 
+    /**
+     * Lines at every multiple of `spacing` along both machine axes, across the bed
+     */
+    drawGridLines(spacing) {
+        const ctx = this.ctx;
+        const bounds = this.coordinates.machineBounds();
+
+        ctx.beginPath();
+        this.gridValues(bounds.minX, bounds.maxX, spacing).forEach(x => {
+            const from = this.toCanvas(x, bounds.minY);
+            const to = this.toCanvas(x, bounds.maxY);
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+        });
+        this.gridValues(bounds.minY, bounds.maxY, spacing).forEach(y => {
+            const from = this.toCanvas(bounds.minX, y);
+            const to = this.toCanvas(bounds.maxX, y);
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+        });
+        ctx.stroke();
+    }
+
+    gridValues(min, max, spacing) {
+        const values = [];
+        for (let value = Math.ceil(min / spacing) * spacing; value <= max; value += spacing) {
+            values.push(value);
+        }
+        return values;
+    }
+
+    /**
+     * Rulers label whichever machine axis runs along them, in machine coordinates
+     */
     drawRulers() {
         if (!this.rulerX || !this.rulerY) return;
 
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const bounds = this.coordinates.machineBounds();
+        const step = 100; // mm per major tick
+        const ticks = (screen) => {
+            const { axis } = this.coordinates.screenToMachineAxis(screen);
+            const [min, max] = axis === 'x' ? [bounds.minX, bounds.maxX] : [bounds.minY, bounds.maxY];
 
-        // X ruler (horizontal)
-        let xHtml = '';
-        const xStep = 100; // mm per major tick
-        const scaleX = this.settings.bedWidth / width;
+            return this.gridValues(min, max, step).map(value => ({
+                value,
+                pt: axis === 'x' ? this.toCanvas(value, bounds.minY) : this.toCanvas(bounds.minX, value)
+            }));
+        };
 
-        for (let mm = 0; mm <= this.settings.bedWidth; mm += xStep) {
-            const x = mm / scaleX;
-            xHtml += `<span style="position:absolute;left:${x + 30}px;transform:translateX(-50%)">${mm}</span>`;
-        }
-        this.rulerX.innerHTML = xHtml;
+        // X ruler (horizontal)
+        this.rulerX.innerHTML = ticks('right').map(({ value, pt }) =>
+            `<span style="position:absolute;left:${pt.x + 30}px;transform:translateX(-50%)">${value}</span>`).join('');
 
         // Y ruler (vertical)
-        let yHtml = '';
-        const yStep = 100;
-        const scaleY = this.settings.bedHeight / height;
-
-        for (let mm = 0; mm <= this.settings.bedHeight; mm += yStep) {
-            const y = height - (mm / scaleY);
-            yHtml += `<span style="position:absolute;top:${y + 20}px;right:4px;transform:translateY(-50%)">${mm}</span>`;
-        }
-        this.rulerY.innerHTML = yHtml;
+        this.rulerY.innerHTML = ticks('up').map(({ value, pt }) =>
+            `<span style="position:absolute;top:${pt.y + 20}px;right:4px;transform:translateY(-50%)">${value}</span>`).join('');
     }
 
     drawToolpath(toolpath) {
@@ -162,33 +233,22 @@ export class PreviewRenderer {
             this.drawGrid();
         }
 
-        if (!this.toolpath.length) return;
-
-        // Calculate scale
-        const scaleX = width / this.settings.bedWidth;
-        const scaleY = height / this.settings.bedHeight;
-
         // Draw paths
-        for (const move of this.toolpath) {
-            const fromX = move.from.x * scaleX;
-            const fromY = height - (move.from.y * scaleY);
-            const toX = move.to.x * scaleX;
-            const toY = height - (move.to.y * scaleY);
+        const styles = getComputedStyle(document.documentElement);
+        const travelColor = styles.getPropertyValue('--travel-color').trim() || '#3b82f6';
+        const drawColor = styles.getPropertyValue('--draw-color').trim() || '#22c55e';
 
-            ctx.beginPath();
-            ctx.moveTo(fromX, fromY);
-            ctx.lineTo(toX, toY);
+        for (const move of this.toolpath) {
+            this.traceMove(move);
 
             if (move.type === 'travel') {
                 // Travel moves - dashed blue
-                ctx.strokeStyle = getComputedStyle(document.documentElement)
-                    .getPropertyValue('--travel-color').trim() || '#3b82f6';
+                ctx.strokeStyle = travelColor;
                 ctx.setLineDash([4, 4]);
                 ctx.lineWidth = 1;
             } else {
                 // Draw moves - solid green
-                ctx.strokeStyle = getComputedStyle(document.documentElement)
-                    .getPropertyValue('--draw-color').trim() || '#22c55e';
+                ctx.strokeStyle = drawColor;
                 ctx.setLineDash([]);
                 ctx.lineWidth = 2;
             }
@@ -197,48 +257,167 @@ export class PreviewRenderer {
         }
 
         ctx.setLineDash([]);
+
+        this.drawFrame();
+        this.drawProblems();
+        this.drawMachineMarker();
     }
 
-    async animate(toolpath, speed = 1) {
-        if (this.animating) return;
+    /**
+     * Outline of a frame dry run in machine mm (closed point list); null hides it
+     */
+    setFrame(points) {
+        this.frame = points;
+        if (!this.animating) this.redraw();
+    }
 
-        this.animating = true;
-        this.toolpath = [];
+    drawFrame() {
+        if (!this.frame) return;
 
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-        const scaleX = width / this.settings.bedWidth;
-        const scaleY = height / this.settings.bedHeight;
+        const points = this.frame.map(pt => this.toCanvas(pt.x, pt.y));
+
+        ctx.save();
+        ctx.strokeStyle = getComputedStyle(document.documentElement)
+            .getPropertyValue('--warning').trim() || '#f59e0b';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([8, 4]);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(pt => ctx.lineTo(pt.x, pt.y));
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Validator problems that have a segment are drawn over the toolpath
+     */
+    setProblems(problems) {
+        this.problems = problems.filter(problem => problem.to);
+        this.selectedProblem = null;
+        if (!this.animating) this.redraw();
+    }
 
-        // Draw pen marker
-        let penX = 0;
-        let penY = height;
+    selectProblem(problem) {
+        this.selectedProblem = problem && problem.to ? problem : null;
+        if (!this.animating) this.redraw();
+    }
+
+    drawProblems() {
+        if (!this.problems.length) return;
+
+        const ctx = this.ctx;
+        const styles = getComputedStyle(document.documentElement);
+        const colors = {
+            error: styles.getPropertyValue('--error').trim() || '#ef4444',
+            warning: styles.getPropertyValue('--warning').trim() || '#f59e0b'
+        };
+
+        ctx.save();
+        ctx.lineCap = 'round';
+
+        for (const problem of this.problems) {
+            const selected = problem === this.selectedProblem;
+            const from = this.toCanvas(problem.from.x, problem.from.y);
+            const to = this.toCanvas(problem.to.x, problem.to.y);
 
-        const drawPen = (x, y, penDown) => {
+            ctx.strokeStyle = colors[problem.severity];
+            ctx.fillStyle = colors[problem.severity];
+            ctx.lineWidth = selected ? 4 : 2;
             ctx.beginPath();
-            ctx.arc(x, y, penDown ? 6 : 4, 0, Math.PI * 2);
-            ctx.fillStyle = penDown ? '#22c55e' : '#3b82f6';
-            ctx.fill();
-            ctx.strokeStyle = '#ffffff';
-            ctx.lineWidth = 2;
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
             ctx.stroke();
-        };
+
+            ctx.beginPath();
+            ctx.arc(to.x, to.y, selected ? 6 : 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    drawPen(x, y, penDown) {
+        const ctx = this.ctx;
+
+        ctx.beginPath();
+        ctx.arc(x, y, penDown ? 6 : 4, 0, Math.PI * 2);
+        ctx.fillStyle = penDown ? '#22c55e' : '#3b82f6';
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    // ============================================
+    // Live Machine Position
+    // ============================================
+
+    /**
+     * Poll a connected GrblStreamer for status reports; its onStatus handler
+     * feeds positions back through setMachinePosition()
+     */
+    watchMachine(machine, interval = 200) {
+        this.unwatchMachine();
+
+        this.statusTimer = setInterval(() => {
+            if (!machine.isConnected()) return;
+            machine.requestStatus().catch(error => console.error('Status request failed:', error));
+        }, interval);
+    }
+
+    unwatchMachine() {
+        clearInterval(this.statusTimer);
+        this.statusTimer = null;
+        this.setMachinePosition(null);
+    }
+
+    /**
+     * Show the real pen at a work position (mm); null hides it
+     */
+    setMachinePosition(position, penDown = false) {
+        this.machinePosition = position;
+        this.machinePenDown = penDown;
+        if (!this.animating) this.redraw();
+    }
+
+    drawMachineMarker() {
+        if (!this.machinePosition) return;
+
+        const ctx = this.ctx;
+        const { x, y } = this.toCanvas(this.machinePosition.x, this.machinePosition.y);
+
+        // Crosshair so the pen stays visible over dense toolpaths
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x - 12, y);
+        ctx.lineTo(x + 12, y);
+        ctx.moveTo(x, y - 12);
+        ctx.lineTo(x, y + 12);
+        ctx.stroke();
+        ctx.restore();
+
+        this.drawPen(x, y, this.machinePenDown);
+    }
+
+    async animate(toolpath, speed = 1) {
+        if (this.animating) return;
+
+        this.animating = true;
+        this.toolpath = [];
+
+        const ctx = this.ctx;
 
         for (let i = 0; i < toolpath.length; i++) {
             if (!this.animating) break;
 
             const move = toolpath[i];
-            const fromX = move.from.x * scaleX;
-            const fromY = height - (move.from.y * scaleY);
-            const toX = move.to.x * scaleX;
-            const toY = height - (move.to.y * scaleY);
 
             // Calculate distance and animation duration
-            const dx = toX - fromX;
-            const dy = toY - fromY;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const duration = (distance / (move.feedRate * scaleX)) * 60000 / speed; // ms
+            const distance = this.moveLength(move);
+            const duration = (distance / move.feedRate) * 60000 / speed; // ms
 
             const steps = Math.max(1, Math.ceil(duration / 16)); // ~60fps
 
@@ -246,17 +425,13 @@ export class PreviewRenderer {
                 if (!this.animating) break;
 
                 const t = step / steps;
-                penX = fromX + dx * t;
-                penY = fromY + dy * t;
 
                 // Redraw everything
                 this.toolpath = toolpath.slice(0, i);
                 this.redraw();
 
                 // Draw partial current segment
-                ctx.beginPath();
-                ctx.moveTo(fromX, fromY);
-                ctx.lineTo(penX, penY);
+                const pen = this.traceMove(move, t);
                 ctx.strokeStyle = move.type === 'travel' ? '#3b82f6' : '#22c55e';
                 ctx.setLineDash(move.type === 'travel' ? [4, 4] : []);
                 ctx.lineWidth = move.type === 'travel' ? 1 : 2;
@@ -264,7 +439,7 @@ export class PreviewRenderer {
                 ctx.setLineDash([]);
 
                 // Draw pen
-                drawPen(penX, penY, move.type === 'draw');
+                this.drawPen(pen.x, pen.y, move.type === 'draw');
 
                 await new Promise(r => setTimeout(r, 16));
             }
@@ -0,0 +1,119 @@
+/**
+ * Project File - Versioned .vsat.json documents holding everything needed to resume a job
+ * Older files are upgraded step by step through MIGRATIONS on open
+ */
+
+export const PROJECT_FORMAT = 'void-satellite-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.vsat.json';
+
+// Each entry upgrades a project from version N to N + 1
+const MIGRATIONS = {
+    // Version 0: a bare Fabric canvas dump (the editor's undo history format)
+    0: (project) => ({
+        format: PROJECT_FORMAT,
+        version: 1,
+        savedAt: null,
+        settings: {},
+        document: {
+            background: toBackground((project.objects || []).find(obj => obj.isBackground)),
+            objects: (project.objects || []).filter(obj => !obj.isBackground)
+        },
+        gcode: null
+    })
+};
+
+function toBackground(image) {
+    if (!image || !image.src) return null;
+
+    return {
+        src: image.src,
+        width: image.width,
+        height: image.height,
+        left: image.left || 0,
+        top: image.top || 0,
+        scaleX: image.scaleX || 1,
+        scaleY: image.scaleY || 1,
+        angle: image.angle || 0,
+        opacity: image.opacity ?? 0.5
+    };
+}
+
+export class ProjectFile {
+    /**
+     * Assemble a project
+     * document: VectorEditor.getDocument(), settings: Settings.toJSON(), gcode: terminal text
+     */
+    create({ document, settings, gcode }) {
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            settings,
+            document,
+            gcode
+        };
+    }
+
+    stringify(project) {
+        return JSON.stringify(project, null, 2);
+    }
+
+    /**
+     * Parse and upgrade project text to the current version
+     */
+    parse(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Project file is not valid JSON');
+        }
+
+        return this.migrate(project);
+    }
+
+    migrate(project) {
+        if (!project || typeof project !== 'object') {
+            throw new Error('Not a Void-Satellite project');
+        }
+
+        let version = this.getVersion(project);
+
+        if (version > PROJECT_VERSION) {
+            throw new Error(`Project version ${version} is newer than this app supports (${PROJECT_VERSION})`);
+        }
+
+        while (version < PROJECT_VERSION) {
+            const migration = MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from project version ${version}`);
+            }
+            project = migration(project);
+            version = project.version;
+        }
+
+        return {
+            ...project,
+            settings: project.settings || {},
+            document: {
+                background: project.document?.background || null,
+                objects: project.document?.objects || []
+            },
+            gcode: typeof project.gcode === 'string' ? project.gcode : null
+        };
+    }
+
+    getVersion(project) {
+        if (project.format === PROJECT_FORMAT && Number.isInteger(project.version)) {
+            return project.version;
+        }
+
+        // Fabric canvas JSON carries a library version string and an objects array
+        if (!project.format && Array.isArray(project.objects)) {
+            return 0;
+        }
+
+        throw new Error('Not a Void-Satellite project');
+    }
+}
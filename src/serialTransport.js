@@ -0,0 +1,86 @@
+/**
+ * Serial Transport - Web Serial connection to a GRBL controller
+ * Same interface as GrblSimulator: open(onData, onClose), write(text), close()
+ */
+
+export class SerialTransport {
+    constructor(baudRate = 115200) {
+        this.baudRate = baudRate;
+        this.port = null;
+        this.reader = null;
+        this.writer = null;
+        this.readLoop = null;
+        this.readableClosed = null;
+        this.closing = false;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
+    }
+
+    /**
+     * Ask the user for a port and start reading; onData receives decoded text chunks and
+     * onClose(error?) is called if the port stops reading without close() being asked for
+     */
+    async open(onData, onClose = () => { }) {
+        if (!SerialTransport.isSupported()) {
+            throw new Error('Web Serial is not supported in this browser');
+        }
+
+        this.port = await navigator.serial.requestPort();
+        await this.port.open({ baudRate: this.baudRate });
+
+        const decoder = new TextDecoderStream();
+        this.readableClosed = this.port.readable.pipeTo(decoder.writable);
+        this.reader = decoder.readable.getReader();
+        this.writer = this.port.writable.getWriter();
+        this.closing = false;
+        this.readLoop = this.read(onData, onClose);
+    }
+
+    async read(onData, onClose) {
+        let failure = null;
+        try {
+            while (true) {
+                const { value, done } = await this.reader.read();
+                if (done) break;
+                if (value) onData(value);
+            }
+        } catch (error) {
+            console.error('Serial read failed:', error);
+            failure = error;
+        } finally {
+            this.reader.releaseLock();
+        }
+
+        if (!this.closing) onClose(failure);
+    }
+
+    /**
+     * One byte per character: GRBL counts bytes, and realtime commands such as jog
+     * cancel (0x85) would become two bytes as UTF-8
+     */
+    write(text) {
+        return this.writer.write(Uint8Array.from(text, char => char.charCodeAt(0) & 0xff));
+    }
+
+    async close() {
+        this.closing = true;
+        // Cancelling the reader tears down the decoder pipe, unlocking port.readable
+        if (this.reader) {
+            await this.reader.cancel().catch(() => { });
+            await this.readLoop;
+            await this.readableClosed.catch(() => { });
+        }
+        if (this.writer) {
+            this.writer.releaseLock();
+        }
+        if (this.port) {
+            await this.port.close().catch(error => console.error('Serial close failed:', error));
+        }
+
+        this.port = null;
+        this.reader = null;
+        this.writer = null;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Session Store - IndexedDB persistence for the working session and recent projects
+ * Records hold project objects in the ProjectFile format
+ */
+
+const DB_NAME = 'void-satellite';
+const DB_VERSION = 1;
+const SESSION_STORE = 'session';
+const PROJECTS_STORE = 'projects';
+const SESSION_KEY = 'current';
+
+export class SessionStore {
+    constructor(maxRecent = 10) {
+        this.maxRecent = maxRecent;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                    db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                    const store = db.createObjectStore(PROJECTS_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('savedAt', 'savedAt');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run fn(store) inside a transaction; resolves with the last request's result
+     */
+    async transaction(storeName, mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // ============================================
+    // Working Session
+    // ============================================
+
+    saveSession(project) {
+        return this.transaction(SESSION_STORE, 'readwrite', store =>
+            store.put({ id: SESSION_KEY, savedAt: Date.now(), project }));
+    }
+
+    /**
+     * The autosaved session record { savedAt, project }, or null
+     */
+    async loadSession() {
+        const record = await this.transaction(SESSION_STORE, 'readonly', store => store.get(SESSION_KEY));
+        return record || null;
+    }
+
+    clearSession() {
+        return this.transaction(SESSION_STORE, 'readwrite', store => store.delete(SESSION_KEY));
+    }
+
+    // ============================================
+    // Recent Projects
+    // ============================================
+
+    /**
+     * Remember a saved or opened project, replacing an older entry with the same name
+     */
+    async addRecent(name, project) {
+        const existing = (await this.listRecent()).filter(entry => entry.name === name);
+
+        await this.transaction(PROJECTS_STORE, 'readwrite', store => {
+            existing.forEach(entry => store.delete(entry.id));
+            return store.add({ name, savedAt: Date.now(), project });
+        });
+
+        // Trim to the newest maxRecent entries
+        const stale = (await this.listRecent(Infinity)).slice(this.maxRecent);
+        if (stale.length) {
+            await this.transaction(PROJECTS_STORE, 'readwrite', store => {
+                stale.forEach(entry => store.delete(entry.id));
+            });
+        }
+    }
+
+    /**
+     * Recent projects newest first, without their (large) project payloads
+     */
+    async listRecent(limit = this.maxRecent) {
+        const entries = [];
+
+        await this.transaction(PROJECTS_STORE, 'readonly', store => {
+            const request = store.index('savedAt').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || entries.length >= limit) return;
+
+                const { id, name, savedAt } = cursor.value;
+                entries.push({ id, name, savedAt });
+                cursor.continue();
+            };
+            return null;
+        });
+
+        return entries;
+    }
+
+    async loadRecent(id) {
+        const record = await this.transaction(PROJECTS_STORE, 'readonly', store => store.get(id));
+        return record ? record.project : null;
+    }
+}
@@ -7,13 +7,39 @@ export class Settings {
         this.defaults = {
             bedWidth: 914,      // 3 feet in mm
             bedHeight: 610,     // 2 feet in mm
+            machineOrigin: 'front-left', // Where machine zero sits on the bed (see coordinateSystem.js)
+            invertX: false,     // Machine X counts towards the origin side
+            invertY: false,
+            swapXY: false,      // Machine X runs along the bed's depth
+            placement: {},      // Job placement on the bed (see jobPlacement.js)
+            nestSpacing: 5,     // Gap between nested parts in mm
+            nestMargin: 10,     // Gap between nested parts and the sheet edge in mm
+            nestRotation: '90', // Rotations nesting may use (see nester.js)
             feedRate: 3000,     // Drawing speed mm/min
             travelRate: 6000,   // Rapid travel speed mm/min
-            penUpCmd: 'G0 Z5',
+            outputProfile: 'z-pen', // How the tool is raised and lowered (see outputProfiles.js)
+            penUpZ: 5,          // Pen / knife up height in mm
+            penDownZ: 0,        // Pen down height in mm
+            servoDown: 90,      // Servo pen down position (M3 S)
+            laserPower: 1000,   // Laser power (M4 S)
+            knifeDepth: 0.5,    // Drag knife cut depth below Z0 in mm
+            penDwells: {},      // G4 seconds after a pen change, per profile
+            penUpCmd: 'G0 Z5',  // Custom profile commands
             penDownCmd: 'G1 Z0',
             workerUrl: '',
-            curveResolution: 10,
-            simplifyTolerance: 2
+            curveTolerance: 0.1,  // Max curve flattening deviation in mm
+            simplifyTolerance: 2,
+            arcFitting: false,  // Emit G2/G3 arcs fitted to curves
+            arcTolerance: 0.05, // Max arc deviation in mm
+            baudRate: 115200,   // GRBL serial speed
+            simulateMachine: false, // Stream to the built-in GRBL simulator
+            jogStep: 10,        // XY jog distance in mm
+            jogStepZ: 1,        // Z jog distance in mm
+            jogFeed: 2000,      // Jog speed mm/min
+            maxFeedRate: 6000,  // Fastest feed the machine allows (GRBL $110/$111)
+            acceleration: 500,  // mm/s² for the time estimate (GRBL $120/$121)
+            junctionDeviation: 0.01, // Cornering tolerance in mm (GRBL $11)
+            penDelay: 0.15      // Seconds for the pen to rise or settle
         };
 
         this.load();
@@ -25,6 +51,12 @@ export class Settings {
             try {
                 const parsed = JSON.parse(saved);
                 Object.assign(this, this.defaults, parsed);
+
+                // Saved before output profiles: keep hand-edited pen commands working
+                if (!parsed.outputProfile &&
+                    (this.penUpCmd !== this.defaults.penUpCmd || this.penDownCmd !== this.defaults.penDownCmd)) {
+                    this.outputProfile = 'custom';
+                }
             } catch (e) {
                 Object.assign(this, this.defaults);
             }
@@ -33,19 +65,48 @@ export class Settings {
         }
     }
 
-    save() {
-        const data = {
+    toJSON() {
+        return {
             bedWidth: this.bedWidth,
             bedHeight: this.bedHeight,
+            machineOrigin: this.machineOrigin,
+            invertX: this.invertX,
+            invertY: this.invertY,
+            swapXY: this.swapXY,
+            placement: this.placement,
+            nestSpacing: this.nestSpacing,
+            nestMargin: this.nestMargin,
+            nestRotation: this.nestRotation,
             feedRate: this.feedRate,
             travelRate: this.travelRate,
+            outputProfile: this.outputProfile,
+            penUpZ: this.penUpZ,
+            penDownZ: this.penDownZ,
+            servoDown: this.servoDown,
+            laserPower: this.laserPower,
+            knifeDepth: this.knifeDepth,
+            penDwells: this.penDwells,
             penUpCmd: this.penUpCmd,
             penDownCmd: this.penDownCmd,
             workerUrl: this.workerUrl,
-            curveResolution: this.curveResolution,
-            simplifyTolerance: this.simplifyTolerance
+            curveTolerance: this.curveTolerance,
+            simplifyTolerance: this.simplifyTolerance,
+            arcFitting: this.arcFitting,
+            arcTolerance: this.arcTolerance,
+            baudRate: this.baudRate,
+            simulateMachine: this.simulateMachine,
+            jogStep: this.jogStep,
+            jogStepZ: this.jogStepZ,
+            jogFeed: this.jogFeed,
+            maxFeedRate: this.maxFeedRate,
+            acceleration: this.acceleration,
+            junctionDeviation: this.junctionDeviation,
+            penDelay: this.penDelay
         };
-        localStorage.setItem('void-satellite-settings', JSON.stringify(data));
+    }
+
+    save() {
+        localStorage.setItem('void-satellite-settings', JSON.stringify(this.toJSON()));
     }
 
     update(newSettings) {
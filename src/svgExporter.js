@@ -0,0 +1,115 @@
+/**
+ * SVG Exporter - Writes editor paths as a 1:1 millimetre SVG the size of the bed
+ * Layers become Inkscape-compatible groups; each path keeps its stroke colour
+ */
+
+export class SvgExporter {
+    constructor(generator, coordinates) {
+        this.generator = generator;
+        this.coordinates = coordinates;
+    }
+
+    /**
+     * Build SVG text from getPaths() descriptors
+     * Transforms are baked in, so user units are document millimetres
+     */
+    export(paths, strokeWidth = 0.25) {
+        const width = this.formatNumber(this.coordinates.bedWidth);
+        const height = this.formatNumber(this.coordinates.bedHeight);
+
+        // Keep layers in the order they first appear
+        const layers = new Map();
+        paths.forEach(pathObj => {
+            const layer = pathObj.layer || null;
+            if (!layers.has(layer)) layers.set(layer, []);
+            layers.get(layer).push(pathObj);
+        });
+
+        const body = [];
+        layers.forEach((layerPaths, layer) => {
+            const elements = layerPaths
+                .map(pathObj => this.writePath(pathObj))
+                .filter(Boolean);
+
+            if (layer === null) {
+                body.push(...elements.map(el => `  ${el}`));
+            } else {
+                const label = this.escape(layer);
+                body.push(`  <g id="layer-${this.toId(layer)}" inkscape:groupmode="layer" inkscape:label="${label}">`);
+                body.push(...elements.map(el => `    ${el}`));
+                body.push('  </g>');
+            }
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<svg xmlns="http://www.w3.org/2000/svg"' +
+                ' xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"' +
+                ` width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}"` +
+                ` fill="none" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round">`,
+            ...body,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    writePath(pathObj) {
+        const d = this.toPathData(pathObj);
+        if (!d) return null;
+
+        const stroke = this.escape(pathObj.stroke || '#000000');
+        return `<path d="${d}" stroke="${stroke}"/>`;
+    }
+
+    /**
+     * Absolute path data in document mm
+     * A closing line back to the subpath start is written as Z
+     */
+    toPathData(pathObj) {
+        const parts = [];
+
+        this.generator.pathToStrokes(pathObj).forEach(stroke => {
+            const start = stroke[0].to;
+            parts.push(`M${this.formatPoint(start)}`);
+
+            stroke.slice(1).forEach((seg, i, segs) => {
+                const closing = i === segs.length - 1 && segs.length > 1 &&
+                    seg.type === 'line' && this.generator.distance(seg.to, start) < 1e-6;
+
+                switch (seg.type) {
+                    case 'line':
+                        parts.push(closing ? 'Z' : `L${this.formatPoint(seg.to)}`);
+                        break;
+                    case 'quadratic':
+                        parts.push(`Q${this.formatPoint(seg.control)} ${this.formatPoint(seg.to)}`);
+                        break;
+                    case 'cubic':
+                        parts.push(`C${this.formatPoint(seg.control1)} ${this.formatPoint(seg.control2)} ${this.formatPoint(seg.to)}`);
+                        break;
+                }
+            });
+        });
+
+        return parts.join(' ');
+    }
+
+    formatPoint(pt) {
+        return `${this.formatNumber(pt.x)},${this.formatNumber(pt.y)}`;
+    }
+
+    formatNumber(value) {
+        return parseFloat(value.toFixed(4)).toString();
+    }
+
+    toId(name) {
+        return String(name).replace(/[^\w-]+/g, '_');
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * SVG Importer - Converts SVG shapes into path data in real-world millimetres
+ * Resolves viewBox, width/height units and nested transforms
+ */
+
+const UNIT_TO_MM = {
+    mm: 1,
+    cm: 10,
+    in: 25.4,
+    pt: 25.4 / 72,
+    pc: 25.4 / 6,
+    px: 25.4 / 96,
+    '': 25.4 / 96
+};
+
+const SKIPPED_ELEMENTS = ['defs', 'clipPath', 'mask', 'pattern', 'marker', 'symbol', 'metadata', 'style', 'title', 'desc'];
+
+export class SvgImporter {
+    /**
+     * Parse SVG text
+     * Returns { width, height, shapes: [{ d, matrix, id }] } with width/height in mm;
+     * each matrix maps the shape's user units to document millimetres
+     */
+    parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const svg = doc.documentElement;
+
+        if (!svg || svg.nodeName !== 'svg' || doc.getElementsByTagName('parsererror').length) {
+            throw new Error('Not a valid SVG file');
+        }
+
+        const { matrix, width, height } = this.getViewportTransform(svg);
+        const shapes = [];
+
+        this.walk(svg, matrix, shapes);
+
+        return { width, height, shapes };
+    }
+
+    /**
+     * Map the root viewBox onto the width/height given in real units
+     */
+    getViewportTransform(svg) {
+        const viewBox = (svg.getAttribute('viewBox') || '')
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map(Number);
+        const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+
+        const width = this.lengthToMm(svg.getAttribute('width'));
+        const height = this.lengthToMm(svg.getAttribute('height'));
+
+        if (!hasViewBox) {
+            // No viewBox: user units are CSS pixels
+            const scale = UNIT_TO_MM.px;
+            return {
+                matrix: [scale, 0, 0, scale, 0, 0],
+                width: width || 0,
+                height: height || 0
+            };
+        }
+
+        const [vbX, vbY, vbWidth, vbHeight] = viewBox;
+
+        // Missing dimensions fall back to the viewBox size in CSS pixels
+        const widthMm = width || (height ? vbWidth * height / vbHeight : vbWidth * UNIT_TO_MM.px);
+        const heightMm = height || (width ? vbHeight * width / vbWidth : vbHeight * UNIT_TO_MM.px);
+
+        let scaleX = widthMm / vbWidth;
+        let scaleY = heightMm / vbHeight;
+        let offsetX = 0;
+        let offsetY = 0;
+
+        // Default preserveAspectRatio is "xMidYMid meet"
+        if (!/^\s*none/.test(svg.getAttribute('preserveAspectRatio') || '')) {
+            const scale = Math.min(scaleX, scaleY);
+            offsetX = (widthMm - vbWidth * scale) / 2;
+            offsetY = (heightMm - vbHeight * scale) / 2;
+            scaleX = scaleY = scale;
+        }
+
+        return {
+            matrix: [scaleX, 0, 0, scaleY, offsetX - vbX * scaleX, offsetY - vbY * scaleY],
+            width: widthMm,
+            height: heightMm
+        };
+    }
+
+    lengthToMm(value) {
+        const match = (value || '').trim().match(/^(-?[\d.]+(?:e[-+]?\d+)?)\s*(mm|cm|in|pt|pc|px)?$/i);
+        if (!match) return null;
+        return parseFloat(match[1]) * UNIT_TO_MM[(match[2] || '').toLowerCase()];
+    }
+
+    walk(element, parentMatrix, shapes) {
+        for (const child of Array.from(element.children)) {
+            const name = child.localName;
+
+            if (SKIPPED_ELEMENTS.includes(name)) continue;
+            if (child.getAttribute('display') === 'none' || /display\s*:\s*none/.test(child.getAttribute('style') || '')) continue;
+
+            const matrix = this.multiply(parentMatrix, this.parseTransform(child.getAttribute('transform')));
+
+            if (name === 'g' || name === 'a' || name === 'svg') {
+                this.walk(child, matrix, shapes);
+                continue;
+            }
+
+            const d = this.shapeToPathData(child);
+            if (d) {
+                shapes.push({ d, matrix, id: child.getAttribute('id') || null });
+            }
+        }
+    }
+
+    /**
+     * Path data (user units) for a basic shape
+     */
+    shapeToPathData(el) {
+        const num = (name) => parseFloat(el.getAttribute(name)) || 0;
+
+        switch (el.localName) {
+            case 'path':
+                return el.getAttribute('d');
+
+            case 'line':
+                return `M ${num('x1')} ${num('y1')} L ${num('x2')} ${num('y2')}`;
+
+            case 'polyline':
+            case 'polygon': {
+                const coords = (el.getAttribute('points') || '')
+                    .split(/[\s,]+/)
+                    .filter(Boolean)
+                    .map(Number);
+                if (coords.length < 4) return null;
+
+                let d = `M ${coords[0]} ${coords[1]}`;
+                for (let i = 2; i + 1 < coords.length; i += 2) {
+                    d += ` L ${coords[i]} ${coords[i + 1]}`;
+                }
+                return el.localName === 'polygon' ? d + ' Z' : d;
+            }
+
+            case 'rect': {
+                const x = num('x');
+                const y = num('y');
+                const w = num('width');
+                const h = num('height');
+                if (w <= 0 || h <= 0) return null;
+
+                // rx/ry default to each other and are clamped to half the size
+                let rx = el.hasAttribute('rx') ? num('rx') : num('ry');
+                let ry = el.hasAttribute('ry') ? num('ry') : num('rx');
+                rx = Math.min(Math.max(rx, 0), w / 2);
+                ry = Math.min(Math.max(ry, 0), h / 2);
+
+                if (!rx || !ry) {
+                    return `M ${x} ${y} H ${x + w} V ${y + h} H ${x} Z`;
+                }
+
+                return `M ${x + rx} ${y} H ${x + w - rx} A ${rx} ${ry} 0 0 1 ${x + w} ${y + ry}` +
+                    ` V ${y + h - ry} A ${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}` +
+                    ` H ${x + rx} A ${rx} ${ry} 0 0 1 ${x} ${y + h - ry}` +
+                    ` V ${y + ry} A ${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`;
+            }
+
+            case 'circle':
+            case 'ellipse': {
+                const cx = num('cx');
+                const cy = num('cy');
+                const rx = el.localName === 'circle' ? num('r') : num('rx');
+                const ry = el.localName === 'circle' ? num('r') : num('ry');
+                if (rx <= 0 || ry <= 0) return null;
+
+                return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy}` +
+                    ` A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse an SVG transform attribute into a matrix [a, b, c, d, e, f]
+     */
+    parseTransform(value) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        if (!value) return matrix;
+
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+
+        while ((match = pattern.exec(value)) !== null) {
+            const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+            let next;
+
+            switch (match[1]) {
+                case 'matrix':
+                    next = args.length === 6 ? args : [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'translate':
+                    next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case 'scale':
+                    next = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+                    break;
+                case 'rotate': {
+                    const angle = (args[0] || 0) * Math.PI / 180;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    const cx = args[1] || 0;
+                    const cy = args[2] || 0;
+                    next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    next = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+
+            matrix = this.multiply(matrix, next);
+        }
+
+        return matrix;
+    }
+
+    multiply(a, b) {
+        return [
+            a[0] * b[0] + a[2] * b[1],
+            a[1] * b[0] + a[3] * b[1],
+            a[0] * b[2] + a[2] * b[3],
+            a[1] * b[2] + a[3] * b[3],
+            a[0] * b[4] + a[2] * b[5] + a[4],
+            a[1] * b[4] + a[3] * b[5] + a[5]
+        ];
+    }
+}
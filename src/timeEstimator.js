@@ -0,0 +1,286 @@
+/**
+ * Time Estimator - Job duration from a GRBL-style motion planner
+ * Trapezoidal acceleration per block, junction-deviation cornering speeds,
+ * a limited lookahead buffer, dwells and pen actuation delays
+ */
+
+import { ArcFitter } from './arcFitter.js';
+
+// GRBL's planner buffer: the machine must be able to stop within the blocks it has queued
+const PLANNER_BLOCKS = 16;
+// GRBL's default $12 arc tolerance, which sets how finely arcs are split into blocks
+const ARC_TOLERANCE = 0.002;
+const PATH_MARKER = /^;\s*---\s*(Path\s+\d+)\s*---/i;
+
+export class TimeEstimator {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Estimate an interpreted program; gcode is only read for the generator's path markers
+     * Returns { total, drawing, travel, pen, lines, paths } in seconds, where lines maps
+     * source line -> seconds and paths is [{ name, line, seconds }]
+     */
+    estimate(program, gcode = '') {
+        const blocks = this.buildBlocks(program.moves);
+        this.plan(blocks);
+
+        const lines = new Map();
+        const totals = { total: 0, drawing: 0, travel: 0, pen: 0 };
+        const add = (line, seconds, kind) => {
+            lines.set(line, (lines.get(line) || 0) + seconds);
+            totals.total += seconds;
+            totals[kind] += seconds;
+        };
+
+        for (const block of blocks) {
+            const seconds = block.delay !== undefined ? block.delay : this.blockTime(block);
+            add(block.line, seconds, block.kind);
+        }
+
+        return { ...totals, lines, paths: this.groupPaths(lines, gcode, program.moves) };
+    }
+
+    // ============================================
+    // Blocks
+    // ============================================
+
+    /**
+     * Straight planner blocks in mm and mm/s; arcs become chords the way GRBL splits them
+     * Dwells and pen changes become stopped delay blocks
+     */
+    buildBlocks(moves) {
+        const blocks = [];
+        const accel = this.settings.acceleration;
+        let penDown = false;
+
+        for (const move of moves) {
+            if (move.type === 'dwell') {
+                blocks.push({ line: move.line, delay: move.duration, kind: 'pen' });
+                continue;
+            }
+
+            // The planner syncs on a pen change, so the machine stops while the pen moves;
+            // a G4 dwell straight after the pen command already covers that wait
+            if (move.penDown !== penDown) {
+                penDown = move.penDown;
+                const previous = blocks[blocks.length - 1];
+                if (previous && previous.delay !== undefined) {
+                    previous.delay = Math.max(previous.delay, this.settings.penDelay);
+                } else {
+                    blocks.push({ line: move.line, delay: this.settings.penDelay, kind: 'pen' });
+                }
+            }
+
+            const kind = move.type === 'draw' ? 'drawing' : 'travel';
+            const speed = move.feedRate / 60;
+
+            this.movePoints(move).forEach((to, i, points) => {
+                const from = i === 0 ? move.from : points[i - 1];
+                const delta = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+                const length = Math.hypot(delta.x, delta.y, delta.z);
+                if (length < 1e-6) return;
+
+                blocks.push({
+                    line: move.line,
+                    kind,
+                    length,
+                    speed,
+                    accel,
+                    unit: { x: delta.x / length, y: delta.y / length, z: delta.z / length }
+                });
+            });
+        }
+
+        // The final pen lift has no move after it to show the change
+        const last = moves[moves.length - 1];
+        if (penDown && last) {
+            blocks.push({ line: last.line, delay: this.settings.penDelay, kind: 'pen' });
+        }
+
+        return blocks;
+    }
+
+    /**
+     * End points of the straight pieces of a move, Z interpolated along arcs
+     */
+    movePoints(move) {
+        if (!move.arc) return [move.to];
+
+        const { center, clockwise } = move.arc;
+        const radius = Math.hypot(move.from.x - center.x, move.from.y - center.y);
+        const sweep = ArcFitter.sweep(move.from, move.to, center, clockwise);
+
+        // Chord height h = r(1 - cos(θ/2)) kept within tolerance
+        const maxAngle = radius > ARC_TOLERANCE ? 2 * Math.acos(1 - ARC_TOLERANCE / radius) : Math.PI;
+        const steps = Math.max(1, Math.ceil(Math.abs(sweep) / maxAngle));
+        const points = [];
+
+        for (let i = 1; i <= steps; i++) {
+            const pt = i === steps ? move.to : ArcFitter.arcPoint(move.from, center, sweep, i / steps);
+            points.push({ x: pt.x, y: pt.y, z: move.from.z + (move.to.z - move.from.z) * i / steps });
+        }
+
+        return points;
+    }
+
+    // ============================================
+    // Planning
+    // ============================================
+
+    /**
+     * Entry speeds (squared) for every motion block, like GRBL's planner:
+     * limited by the junction angle, by stopping within the lookahead buffer,
+     * and by what acceleration allows from the neighbouring blocks
+     */
+    plan(blocks) {
+        const motion = [];
+
+        // Junction limits; a delay block forces a stop on both sides
+        let previous = null;
+        for (const block of blocks) {
+            if (block.delay !== undefined) {
+                previous = null;
+                continue;
+            }
+
+            block.maxEntrySq = previous ? this.junctionSpeedSq(previous, block) : 0;
+            motion.push(block);
+            previous = block;
+        }
+
+        // Lookahead: distance left in the buffer from each block on, stopping at delays
+        const lookahead = new Array(motion.length).fill(0);
+        for (let i = motion.length - 1; i >= 0; i--) {
+            const chained = i + 1 < motion.length && motion[i + 1].maxEntrySq > 0;
+            let distance = motion[i].length;
+            if (chained) {
+                distance += lookahead[i + 1];
+                const dropped = i + PLANNER_BLOCKS;
+                if (dropped < motion.length && this.isChained(motion, i + 1, dropped)) {
+                    distance -= motion[dropped].length;
+                }
+            }
+            lookahead[i] = distance;
+        }
+
+        // Backward pass: every block must be able to slow down for what follows
+        let nextEntrySq = 0;
+        for (let i = motion.length - 1; i >= 0; i--) {
+            const block = motion[i];
+            block.exitSq = nextEntrySq;
+            const reachable = nextEntrySq + 2 * block.accel * block.length;
+            const stoppable = 2 * block.accel * lookahead[i];
+            block.entrySq = Math.min(block.maxEntrySq, reachable, stoppable);
+            nextEntrySq = block.maxEntrySq > 0 ? block.entrySq : 0;
+        }
+
+        // Forward pass: and speed up no faster than acceleration allows
+        for (let i = 0; i < motion.length; i++) {
+            const block = motion[i];
+            const exitSq = Math.min(block.exitSq, block.entrySq + 2 * block.accel * block.length);
+
+            block.exitSq = exitSq;
+            if (i + 1 < motion.length && motion[i + 1].maxEntrySq > 0) {
+                motion[i + 1].entrySq = Math.min(motion[i + 1].entrySq, exitSq);
+            }
+        }
+    }
+
+    /**
+     * True when blocks from..to are joined without a forced stop
+     */
+    isChained(motion, from, to) {
+        for (let i = from; i <= to; i++) {
+            if (motion[i].maxEntrySq === 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * GRBL's junction deviation: the fastest a corner can be taken (squared, mm²/s²)
+     */
+    junctionSpeedSq(previous, block) {
+        const cosTheta = -(previous.unit.x * block.unit.x + previous.unit.y * block.unit.y + previous.unit.z * block.unit.z);
+        const nominalSq = Math.min(previous.speed, block.speed) ** 2;
+
+        // Reversal: stop; straight on: only the feed rates limit it
+        if (cosTheta > 0.999999) return 0;
+        if (cosTheta < -0.999999) return nominalSq;
+
+        const sinHalf = Math.sqrt(0.5 * (1 - cosTheta));
+        const junctionSq = block.accel * this.settings.junctionDeviation * sinHalf / (1 - sinHalf);
+        return Math.min(junctionSq, nominalSq);
+    }
+
+    /**
+     * Trapezoid (or triangle) profile time for one block
+     */
+    blockTime({ length, speed, accel, entrySq, exitSq }) {
+        const entry = Math.sqrt(Math.min(entrySq, speed * speed));
+        const exit = Math.sqrt(Math.min(exitSq, speed * speed));
+        const accelDistance = (speed * speed - entry * entry) / (2 * accel);
+        const decelDistance = (speed * speed - exit * exit) / (2 * accel);
+
+        if (accelDistance + decelDistance <= length) {
+            const cruise = length - accelDistance - decelDistance;
+            return (speed - entry) / accel + (speed - exit) / accel + cruise / speed;
+        }
+
+        // Never reaches the feed rate
+        const peak = Math.sqrt((2 * accel * length + entry * entry + exit * exit) / 2);
+        return (peak - entry) / accel + (peak - exit) / accel;
+    }
+
+    // ============================================
+    // Per-path Times
+    // ============================================
+
+    /**
+     * Sum line times per path: the generator's "; --- Path N ---" sections,
+     * or each pen-down stroke (with the travel before it) for hand-written G-code
+     */
+    groupPaths(lines, gcode, moves) {
+        const starts = [];
+
+        gcode.split('\n').forEach((text, line) => {
+            const marker = text.trim().match(PATH_MARKER);
+            if (marker) starts.push({ name: marker[1], line });
+        });
+
+        if (!starts.length) {
+            let penDown = false;
+            let travelLine = null;
+            for (const move of moves) {
+                if (move.type === 'dwell') continue;
+                if (!move.penDown && travelLine === null) travelLine = move.line;
+                if (move.penDown && !penDown) {
+                    starts.push({ name: `Stroke ${starts.length + 1}`, line: travelLine ?? move.line });
+                }
+                if (move.penDown) travelLine = null;
+                penDown = move.penDown;
+            }
+        }
+
+        const paths = starts.map(start => ({ ...start, seconds: 0 }));
+        if (!paths.length) return paths;
+
+        const firstLine = paths[0].line;
+        lines.forEach((seconds, line) => {
+            if (line < firstLine) return;
+
+            // Last path starting at or before this line
+            let low = 0;
+            let high = paths.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (paths[mid].line <= line) low = mid;
+                else high = mid - 1;
+            }
+            paths[low].seconds += seconds;
+        });
+
+        return paths;
+    }
+}
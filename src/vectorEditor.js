@@ -9,21 +9,30 @@ export class VectorEditor {
         this.onPathsChange = options.onPathsChange || (() => { });
         this.onCursorMove = options.onCursorMove || (() => { });
         this.onZoomChange = options.onZoomChange || (() => { });
+        this.onCalibrationPoints = options.onCalibrationPoints || (() => { });
         this.settings = options.settings;
+        this.coordinates = options.coordinates;
 
         this.canvas = null;
         this.backgroundImage = null;
+        this.bedRect = null;
         this.currentTool = 'select';
         this.isDrawing = false;
         this.drawingPath = null;
         this.points = [];
 
+        // Two-point scale calibration state
+        this.calibrationPoints = [];
+        this.calibrationMarkers = [];
+
         this.history = [];
         this.historyIndex = -1;
         this.maxHistory = 50;
 
         // Zoom and pan state
+        // zoomLevel is relative to baseScale, the px-per-mm that fits the bed
         this.zoomLevel = 1;
+        this.baseScale = 1;
         this.minZoom = 0.1;
         this.maxZoom = 10;
         this.isPanning = false;
@@ -53,6 +62,10 @@ export class VectorEditor {
             preserveObjectStacking: true
         });
 
+        // Draw the machine bed and fit it in view
+        this.drawBed();
+        this.zoomReset();
+
         // Setup event handlers
         this.setupEvents();
 
@@ -84,6 +97,8 @@ export class VectorEditor {
                 this.startLine(pointer);
             } else if (this.currentTool === 'eraser') {
                 this.erase(e.target);
+            } else if (this.currentTool === 'calibrate') {
+                this.addCalibrationPoint(pointer);
             }
         });
 
@@ -114,10 +129,14 @@ export class VectorEditor {
 
         const canvas = this.canvas;
 
+        if (tool !== 'calibrate') {
+            this.clearCalibration();
+        }
+
         if (tool === 'select') {
             canvas.selection = true;
             canvas.forEachObject(obj => {
-                if (!obj.isBackground) {
+                if (this.isEditable(obj)) {
                     obj.selectable = true;
                     obj.evented = true;
                 }
@@ -128,7 +147,7 @@ export class VectorEditor {
             canvas.discardActiveObject();
             canvas.forEachObject(obj => {
                 obj.selectable = false;
-                obj.evented = tool === 'eraser';
+                obj.evented = tool === 'eraser' && this.isEditable(obj);
             });
 
             canvas.defaultCursor = tool === 'eraser' ? 'crosshair' : 'crosshair';
@@ -277,7 +296,7 @@ export class VectorEditor {
     }
 
     erase(target) {
-        if (target && !target.isBackground) {
+        if (target && this.isEditable(target)) {
             this.canvas.remove(target);
             this.saveState();
             this.emitPaths();
@@ -343,22 +362,69 @@ export class VectorEditor {
         return simplified;
     }
 
+    /**
+     * Whether an object is user geometry (not the background image or bed)
+     */
+    isEditable(obj) {
+        return !obj.isBackground && !obj.isBed && !obj.isGuide;
+    }
+
+    /**
+     * Draw the machine bed outline in document (mm) coordinates
+     */
+    drawBed() {
+        if (this.bedRect) {
+            this.canvas.remove(this.bedRect);
+        }
+
+        const strokeWidth = 1;
+
+        this.bedRect = new this.fabric.Rect({
+            left: -strokeWidth / 2,
+            top: -strokeWidth / 2,
+            width: this.coordinates.bedWidth,
+            height: this.coordinates.bedHeight,
+            fill: '#12121a',
+            stroke: 'rgba(99, 102, 241, 0.6)',
+            strokeWidth,
+            selectable: false,
+            evented: false,
+            excludeFromExport: true,
+            isBed: true
+        });
+
+        this.canvas.add(this.bedRect);
+        this.canvas.sendToBack(this.bedRect);
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Redraw the bed and refit the view after machine settings change
+     */
+    updateSettings() {
+        this.drawBed();
+        this.zoomReset();
+    }
+
+    /**
+     * Resolves once the image is on the canvas
+     */
     setBackgroundImage(dataUrl, width, height) {
         if (this.backgroundImage) {
             this.canvas.remove(this.backgroundImage);
         }
 
-        this.fabric.Image.fromURL(dataUrl, (img) => {
-            // Scale to fit canvas while maintaining aspect ratio
-            const scaleX = this.canvasWidth / width;
-            const scaleY = this.canvasHeight / height;
-            const scale = Math.min(scaleX, scaleY) * 0.9;
+        return new Promise(resolve => this.fabric.Image.fromURL(dataUrl, (img) => {
+            // Scale to fit the bed while maintaining aspect ratio
+            const bedWidth = this.coordinates.bedWidth;
+            const bedHeight = this.coordinates.bedHeight;
+            const scale = Math.min(bedWidth / width, bedHeight / height) * 0.9;
 
             img.set({
                 scaleX: scale,
                 scaleY: scale,
-                left: (this.canvasWidth - width * scale) / 2,
-                top: (this.canvasHeight - height * scale) / 2,
+                left: (bedWidth - width * scale) / 2,
+                top: (bedHeight - height * scale) / 2,
                 selectable: false,
                 evented: false,
                 opacity: 0.5,
@@ -368,8 +434,10 @@ export class VectorEditor {
             this.backgroundImage = img;
             this.canvas.add(img);
             this.canvas.sendToBack(img);
+            this.canvas.sendToBack(this.bedRect);
             this.canvas.renderAll();
-        });
+            resolve(img);
+        }));
     }
 
     setBackgroundOpacity(opacity) {
@@ -379,18 +447,71 @@ export class VectorEditor {
         }
     }
 
-    addPaths(paths) {
+    createPath(pathData, props = {}) {
+        return new this.fabric.Path(pathData, {
+            stroke: '#22c55e',
+            strokeWidth: 2,
+            fill: null,
+            selectable: true,
+            evented: true,
+            hasControls: true,
+            hasBorders: true,
+            ...props
+        });
+    }
+
+    addPaths(paths, props = {}) {
         paths.forEach(pathData => {
-            const path = new this.fabric.Path(pathData, {
-                stroke: '#22c55e',
-                strokeWidth: 2,
-                fill: null,
-                selectable: true,
-                evented: true,
-                hasControls: true,
-                hasBorders: true
-            });
-            this.canvas.add(path);
+            this.canvas.add(this.createPath(pathData, props));
+        });
+
+        this.saveState();
+        this.emitPaths();
+    }
+
+    /**
+     * Add paths traced in background-image pixel space, placed over the image
+     */
+    addImagePaths(paths) {
+        const img = this.backgroundImage;
+        if (!img) {
+            this.addPaths(paths);
+            return;
+        }
+
+        const { makePathSimpler, parsePath, transformPath } = this.fabric.util;
+        const matrix = img.calcTransformMatrix();
+        const origin = { x: img.width / 2, y: img.height / 2 };
+
+        this.addPaths(paths
+            .filter(pathData => pathData)
+            .map(pathData => transformPath(makePathSimpler(parsePath(pathData)), matrix, origin)),
+            { isTraced: true });
+    }
+
+    /**
+     * Add imported shapes: path data plus a matrix from its units to document mm
+     * Shapes carrying a layer name are gathered into one group per layer
+     */
+    importPaths(shapes) {
+        const { makePathSimpler, parsePath, transformPath } = this.fabric.util;
+        const toPath = shape => transformPath(makePathSimpler(parsePath(shape.d)), shape.matrix);
+        const valid = shapes.filter(shape => shape.d);
+
+        if (!valid.some(shape => shape.layer)) {
+            this.addPaths(valid.map(toPath));
+            return;
+        }
+
+        const layers = new Map();
+        valid.forEach(shape => {
+            const layer = shape.layer || '0';
+            if (!layers.has(layer)) layers.set(layer, []);
+            layers.get(layer).push(this.createPath(toPath(shape), { layer }));
+        });
+
+        layers.forEach((paths, layer) => {
+            this.canvas.add(new this.fabric.Group(paths, { layer }));
         });
 
         this.saveState();
@@ -399,18 +520,35 @@ export class VectorEditor {
 
     getPaths() {
         const paths = [];
-        this.canvas.forEachObject(obj => {
-            if (!obj.isBackground && obj.path) {
+
+        // Walk into groups; calcTransformMatrix() already includes the
+        // transform of any parent group or active selection
+        const collect = (obj, layer = null) => {
+            if (!this.isEditable(obj)) return;
+
+            if (obj.type === 'group') {
+                obj.getObjects().forEach(child => collect(child, obj.layer || layer));
+            } else if (obj.path) {
                 paths.push({
                     path: obj.path,
                     left: obj.left,
                     top: obj.top,
                     scaleX: obj.scaleX,
                     scaleY: obj.scaleY,
-                    angle: obj.angle
+                    angle: obj.angle,
+                    skewX: obj.skewX,
+                    skewY: obj.skewY,
+                    flipX: obj.flipX,
+                    flipY: obj.flipY,
+                    pathOffset: { x: obj.pathOffset.x, y: obj.pathOffset.y },
+                    matrix: obj.calcTransformMatrix(),
+                    layer: obj.layer || layer,
+                    stroke: obj.stroke
                 });
             }
-        });
+        };
+
+        this.canvas.getObjects().forEach(obj => collect(obj));
         return paths;
     }
 
@@ -422,7 +560,7 @@ export class VectorEditor {
         const active = this.canvas.getActiveObjects();
         if (active.length) {
             active.forEach(obj => {
-                if (!obj.isBackground) {
+                if (this.isEditable(obj)) {
                     this.canvas.remove(obj);
                 }
             });
@@ -434,13 +572,16 @@ export class VectorEditor {
 
     hasSelection() {
         const active = this.canvas.getActiveObjects();
-        return active.some(obj => !obj.isBackground);
+        return active.some(obj => this.isEditable(obj));
     }
 
     clear() {
         this.canvas.clear();
         this.canvas.backgroundColor = '#1a1a25';
         this.backgroundImage = null;
+        this.calibrationPoints = [];
+        this.calibrationMarkers = [];
+        this.drawBed();
         this.history = [];
         this.historyIndex = -1;
         this.saveState();
@@ -454,7 +595,7 @@ export class VectorEditor {
         }
 
         // Save current state
-        const state = JSON.stringify(this.canvas.toJSON(['isBackground']));
+        const state = JSON.stringify(this.canvas.toJSON(['isBackground', 'isTraced', 'layer']));
         this.history.push(state);
 
         // Limit history size
@@ -487,15 +628,76 @@ export class VectorEditor {
         return this.historyIndex < this.history.length - 1;
     }
 
-    loadState(state) {
+    loadState(state, callback) {
         this.canvas.loadFromJSON(state, () => {
+            this.backgroundImage = null;
             this.canvas.forEachObject(obj => {
                 if (obj.isBackground) {
                     this.backgroundImage = obj;
                 }
             });
+            this.calibrationPoints = [];
+            this.calibrationMarkers = [];
+            this.drawBed();
             this.canvas.renderAll();
             this.emitPaths();
+            if (callback) callback();
+        });
+    }
+
+    // ============================================
+    // Project Documents
+    // ============================================
+
+    /**
+     * Background placement (its scale is the calibration in mm per pixel) and editable objects
+     */
+    getDocument() {
+        const img = this.backgroundImage;
+
+        return {
+            background: img ? {
+                src: img.getSrc(),
+                width: img.width,
+                height: img.height,
+                left: img.left,
+                top: img.top,
+                scaleX: img.scaleX,
+                scaleY: img.scaleY,
+                angle: img.angle,
+                opacity: img.opacity
+            } : null,
+            objects: this.canvas.getObjects()
+                .filter(obj => this.isEditable(obj))
+                .map(obj => obj.toObject(['isTraced', 'layer']))
+        };
+    }
+
+    /**
+     * Replace the canvas with a project document; resolves once objects are loaded
+     * Undo history starts afresh from the loaded document
+     */
+    loadDocument(doc) {
+        const background = doc.background ? [{
+            type: 'image',
+            ...doc.background,
+            selectable: false,
+            evented: false,
+            isBackground: true
+        }] : [];
+
+        const state = {
+            background: this.canvas.backgroundColor,
+            objects: [...background, ...(doc.objects || [])]
+        };
+
+        return new Promise(resolve => {
+            this.loadState(state, () => {
+                this.history = [];
+                this.historyIndex = -1;
+                this.saveState();
+                resolve();
+            });
         });
     }
 
@@ -511,9 +713,108 @@ export class VectorEditor {
             height: this.canvasHeight
         });
 
+        // Keep the current view; only the zoom reference changes with the size
+        this.baseScale = this.coordinates.fitBed(this.canvasWidth, this.canvasHeight, 20).scale;
+        this.zoomLevel = this.canvas.getZoom() / this.baseScale;
+        this.onZoomChange(Math.round(this.zoomLevel * 100));
+
         this.canvas.renderAll();
     }
 
+    // ============================================
+    // Scale Calibration
+    // ============================================
+
+    addCalibrationPoint(pointer) {
+        if (this.calibrationPoints.length >= 2) {
+            this.clearCalibration();
+        }
+
+        // Keep markers a constant size on screen regardless of zoom
+        const zoom = this.canvas.getZoom();
+
+        this.calibrationPoints.push({ x: pointer.x, y: pointer.y });
+        this.addCalibrationMarker(new this.fabric.Circle({
+            left: pointer.x,
+            top: pointer.y,
+            radius: 4 / zoom,
+            originX: 'center',
+            originY: 'center',
+            fill: '#f59e0b',
+            strokeWidth: 0
+        }));
+
+        if (this.calibrationPoints.length === 2) {
+            const [from, to] = this.calibrationPoints;
+
+            this.addCalibrationMarker(new this.fabric.Line([from.x, from.y, to.x, to.y], {
+                stroke: '#f59e0b',
+                strokeWidth: 1 / zoom,
+                strokeDashArray: [6 / zoom, 4 / zoom]
+            }));
+
+            this.onCalibrationPoints(this.distanceBetween(from, to));
+        }
+
+        this.canvas.renderAll();
+    }
+
+    addCalibrationMarker(marker) {
+        marker.set({
+            selectable: false,
+            evented: false,
+            excludeFromExport: true,
+            isGuide: true
+        });
+        this.calibrationMarkers.push(marker);
+        this.canvas.add(marker);
+    }
+
+    clearCalibration() {
+        if (!this.canvas) return;
+
+        this.calibrationMarkers.forEach(marker => this.canvas.remove(marker));
+        this.calibrationMarkers = [];
+        this.calibrationPoints = [];
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Rescale the background image and its traced paths so the two
+     * calibration points are `distance` mm apart. The first point stays put.
+     */
+    applyCalibration(distance) {
+        if (this.calibrationPoints.length !== 2 || !(distance > 0)) return false;
+
+        const [anchor, to] = this.calibrationPoints;
+        const measured = this.distanceBetween(anchor, to);
+        if (measured === 0) return false;
+
+        const factor = distance / measured;
+
+        this.canvas.getObjects()
+            .filter(obj => obj.isBackground || obj.isTraced)
+            .forEach(obj => {
+                obj.set({
+                    scaleX: obj.scaleX * factor,
+                    scaleY: obj.scaleY * factor,
+                    left: anchor.x + (obj.left - anchor.x) * factor,
+                    top: anchor.y + (obj.top - anchor.y) * factor
+                });
+                obj.setCoords();
+            });
+
+        this.clearCalibration();
+        this.saveState();
+        this.emitPaths();
+
+        return true;
+    }
+
+    distanceBetween(p1, p2) {
+        return Math.hypot(p2.x - p1.x, p2.y - p1.y);
+    }
+
     // ============================================
     // Zoom Methods
     // ============================================
@@ -531,14 +832,14 @@ export class VectorEditor {
 
         if (point) {
             // Zoom to point
-            this.canvas.zoomToPoint(point, newZoom);
+            this.canvas.zoomToPoint(point, newZoom * this.baseScale);
         } else {
             // Zoom to center
             const center = {
                 x: this.canvasWidth / 2,
                 y: this.canvasHeight / 2
             };
-            this.canvas.zoomToPoint(center, newZoom);
+            this.canvas.zoomToPoint(center, newZoom * this.baseScale);
         }
 
         this.zoomLevel = newZoom;
@@ -547,8 +848,10 @@ export class VectorEditor {
     }
 
     zoomReset() {
-        // Reset zoom and pan
-        this.canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+        // Reset zoom and pan so the whole bed is in view
+        const view = this.coordinates.fitBed(this.canvasWidth, this.canvasHeight, 20);
+        this.baseScale = view.scale;
+        this.canvas.setViewportTransform([view.scale, 0, 0, view.scale, view.offsetX, view.offsetY]);
         this.zoomLevel = 1;
         this.onZoomChange(100);
         this.canvas.renderAll();
@@ -556,7 +859,7 @@ export class VectorEditor {
 
     zoomFit() {
         // Fit all objects in view
-        const objects = this.canvas.getObjects().filter(obj => !obj.isBackground);
+        const objects = this.canvas.getObjects().filter(obj => this.isEditable(obj));
 
         if (objects.length === 0 && this.backgroundImage) {
             // Fit to background image
@@ -566,9 +869,9 @@ export class VectorEditor {
 
             const scaleX = (this.canvasWidth * 0.9) / imgWidth;
             const scaleY = (this.canvasHeight * 0.9) / imgHeight;
-            const scale = Math.min(scaleX, scaleY);
+            const scale = Math.min(scaleX, scaleY, this.maxZoom * this.baseScale);
 
-            this.setZoom(scale);
+            this.setZoom(scale / this.baseScale);
 
             // Center the image
             const vpt = this.canvas.viewportTransform;
@@ -592,10 +895,10 @@ export class VectorEditor {
 
             const scaleX = (this.canvasWidth * 0.9) / contentWidth;
             const scaleY = (this.canvasHeight * 0.9) / contentHeight;
-            const scale = Math.min(scaleX, scaleY, this.maxZoom);
+            const scale = Math.min(scaleX, scaleY, this.maxZoom * this.baseScale);
 
             this.zoomReset();
-            this.setZoom(scale);
+            this.setZoom(scale / this.baseScale);
 
             // Center content
             const vpt = this.canvas.viewportTransform;
@@ -661,15 +964,14 @@ export class VectorEditor {
             contentLeft = img.left;
             contentTop = img.top;
         } else {
-            // Use canvas bounds
-            contentWidth = this.canvasWidth;
-            contentHeight = this.canvasHeight;
+            // Use bed bounds
+            contentWidth = this.coordinates.bedWidth;
+            contentHeight = this.coordinates.bedHeight;
             contentLeft = 0;
             contentTop = 0;
         }
 
-        const vpt = this.canvas.viewportTransform;
-        const zoom = this.zoomLevel;
+        const zoom = this.canvas.getZoom();
 
         // Calculate target viewport position based on anchor
         let targetX, targetY;
@@ -753,11 +1055,11 @@ export class VectorEditor {
             let zoom = this.canvas.getZoom();
             zoom *= 0.999 ** delta;
 
-            zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+            zoom = Math.max(this.minZoom * this.baseScale, Math.min(this.maxZoom * this.baseScale, zoom));
 
             this.canvas.zoomToPoint({ x: opt.e.offsetX, y: opt.e.offsetY }, zoom);
-            this.zoomLevel = zoom;
-            this.onZoomChange(Math.round(zoom * 100));
+            this.zoomLevel = zoom / this.baseScale;
+            this.onZoomChange(Math.round(this.zoomLevel * 100));
 
             opt.e.preventDefault();
             opt.e.stopPropagation();